@@ -9,8 +9,9 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 
-const { PORT } = require('./config');
+const { PORT, STORAGE_BACKEND, DATA_FILE } = require('./config');
 const { registerRoutes } = require('./routes');
+const { startRefreshSchedule } = require('./services/refresh');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 // Create Express app
@@ -18,6 +19,8 @@ const app = express();
 
 // Middleware
 app.use(cors());
+// Imports carry a whole export file (Trakt watch history can be large)
+app.use('/api/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
 // Static files
@@ -37,8 +40,11 @@ if (require.main === module) {
     console.log(`TV Randomizer Addon running on http://localhost:${PORT}`);
     console.log(`Settings page: http://localhost:${PORT}/myshows`);
     console.log(`Install in Stremio: http://localhost:${PORT}/`);
+    console.log(`Storage: ${STORAGE_BACKEND === 'file' ? DATA_FILE : 'MongoDB'}`);
   });
 
+  // Keep stored show names and artwork current
+  startRefreshSchedule();
 }
 
 module.exports = app;
@@ -1,13 +1,66 @@
 require('dotenv').config();
+const path = require('path');
 
 const MONGODB_URI = process.env.MONGODB_URI;
 const MONGODB_DB = process.env.MONGODB_DB;
 const PORT = process.env.PORT || 7001;
 
+// Storage: 'mongo' or 'file' (a local JSON file, for self-hosting)
+// Defaults to mongo when MONGODB_URI is set
+const STORAGE_BACKENDS = ['mongo', 'file'];
+const STORAGE_BACKEND = STORAGE_BACKENDS.includes(process.env.STORAGE_BACKEND)
+  ? process.env.STORAGE_BACKEND
+  : (MONGODB_URI ? 'mongo' : 'file');
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, '..', 'data', 'randomizer.json');
+
+// Metadata cache: 'memory' (per instance) or 'mongo' (shared across instances)
+const CACHE_BACKEND = process.env.CACHE_BACKEND === 'mongo' ? 'mongo' : 'memory';
+
 const CINEMETA_URL = 'https://v3-cinemeta.strem.io';
 const TVMAZE_URL = 'https://api.tvmaze.com';
 
+// Shows looked up at once by bulk work (metadata refresh, imports, keyword
+// picks); the per-host limits in services/httpClient.js still apply on top
+const LOOKUP_CONCURRENCY = 4;
+
+// Shared secret for the scheduled refresh endpoint (Vercel Cron sends it as a Bearer token)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// Background refresh of stored show names and artwork
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const REFRESH_STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_BATCH_SIZE = 100;
+
 const MAX_SHOWS = 150;
+const MAX_LISTS = 20;
+
+// Stored marathon playlists expire after a week; only a user's latest few are kept
+const PLAYLIST_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_PLAYLISTS_PER_USER = 5;
+
+// Pick history kept for the no-repeat cooldown (cooldownValue is at most 1000
+// picks or 1000 days) and rerolls (12 hours)
+const PICK_HISTORY_MAX_AGE_MS = 1000 * 24 * 60 * 60 * 1000;
+const PICK_HISTORY_MAX_PER_SHOW = 1000;
+
+// Defaults for per-user randomizer settings (stored in `userSettings`)
+const DEFAULT_USER_SETTINGS = {
+  // 'off' | 'picks' (last N picks) | 'days' (last N days)
+  cooldownMode: 'picks',
+  cooldownValue: 20,
+  // How "Random All Shows" picks a show: 'uniform' | 'episodes' | 'custom'
+  showSelectionMode: 'uniform',
+  // Skip announced episodes whose release date is still in the future
+  excludeUnaired: true,
+  // Number of episodes queued by "Random Marathon"
+  marathonLength: 10,
+};
+
+// Weight used for shows without a custom weight ('custom' selection mode)
+const DEFAULT_SHOW_WEIGHT = 1;
+
+// Time budgets (minutes) offered by the catalog's runtime extra
+const RUNTIME_BUDGET_OPTIONS = [15, 25, 30, 45, 60, 90];
 
 const manifest = {
   id: 'org.tvrandomizer.addon',
@@ -34,18 +87,55 @@ const manifest = {
       type: 'series',
       id: 'random-episode',
       name: 'Find Random Episode',
-      extra: [{ name: 'search', isRequired: false }],
+      extra: [
+        { name: 'search', isRequired: false },
+        {
+          name: 'runtime',
+          isRequired: false,
+          options: RUNTIME_BUDGET_OPTIONS.map((minutes) => `${minutes} min`),
+        },
+      ],
     },
   ],
-  idPrefixes: ['tt', 'random-episode-action', 'random-episode-show:'],
+  idPrefixes: [
+    'tt',
+    'tvmaze-',
+    'random-episode-action',
+    'random-episode-show:',
+    'random-episode-runtime:',
+    'random-episode-marathon',
+    'random-episode-playlist:',
+    'random-episode-start',
+    'random-episode-from:',
+    'random-episode-list:',
+    'random-episode-search:',
+    'random-episode-genre:',
+    'random-episode-keyword:',
+  ],
 };
 
 module.exports = {
   MONGODB_URI,
   MONGODB_DB,
   PORT,
+  STORAGE_BACKEND,
+  DATA_FILE,
+  CACHE_BACKEND,
+  CRON_SECRET,
+  REFRESH_INTERVAL_MS,
+  REFRESH_STALE_AFTER_MS,
+  REFRESH_BATCH_SIZE,
   CINEMETA_URL,
   TVMAZE_URL,
+  LOOKUP_CONCURRENCY,
   MAX_SHOWS,
+  MAX_LISTS,
+  PLAYLIST_TTL_MS,
+  MAX_PLAYLISTS_PER_USER,
+  PICK_HISTORY_MAX_AGE_MS,
+  PICK_HISTORY_MAX_PER_SHOW,
+  DEFAULT_USER_SETTINGS,
+  DEFAULT_SHOW_WEIGHT,
+  RUNTIME_BUDGET_OPTIONS,
   manifest,
 };
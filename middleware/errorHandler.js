@@ -24,6 +24,7 @@ const ErrorTypes = {
   NOT_FOUND: (message) => new AppError(message, 404, 'NOT_FOUND'),
   UNAUTHORIZED: (message) => new AppError(message, 401, 'UNAUTHORIZED'),
   FORBIDDEN: (message) => new AppError(message, 403, 'FORBIDDEN'),
+  CONFLICT: (message) => new AppError(message, 409, 'CONFLICT'),
   RATE_LIMITED: (message) => new AppError(message, 429, 'RATE_LIMITED'),
   DATABASE: (message) => new AppError(message, 500, 'DATABASE_ERROR'),
   EXTERNAL_API: (message) => new AppError(message, 502, 'EXTERNAL_API_ERROR'),
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { MAX_SHOWS } = require('../config');
 const { ErrorTypes } = require('./errorHandler');
 
 /**
@@ -57,6 +58,56 @@ const validateImdbIdBody = [
     .withMessage('Invalid IMDB ID format'),
 ];
 
+/**
+ * Validate season number in route params
+ */
+const validateSeasonParam = [
+  param('season')
+    .isInt({ min: 0 })
+    .withMessage('Season must be a non-negative integer')
+    .toInt(),
+];
+
+/**
+ * Validate list ID in route params
+ */
+const validateListId = [
+  param('listId')
+    .isString()
+    .trim()
+    .matches(/^[a-f0-9]{8,32}$/)
+    .withMessage('Invalid list ID format'),
+];
+
+/**
+ * Validate optional list ID in the query string or request body
+ */
+const validateOptionalListId = [
+  query('list')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[a-f0-9]{8,32}$/)
+    .withMessage('Invalid list ID format'),
+  body('listId')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[a-f0-9]{8,32}$/)
+    .withMessage('Invalid list ID format'),
+];
+
+/**
+ * Validate list name
+ */
+const validateListName = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('List name must be between 1 and 50 characters'),
+];
+
 /**
  * Validate search query
  */
@@ -67,6 +118,39 @@ const validateSearchQuery = [
     .isLength({ min: 2, max: 100 })
     .withMessage('Search query must be between 2 and 100 characters')
     .escape(), // Sanitize to prevent XSS
+  query('offset')
+    .optional()
+    .isInt({ min: 0, max: 500 })
+    .withMessage('offset must be an integer between 0 and 500')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 25 })
+    .withMessage('limit must be an integer between 1 and 25')
+    .toInt(),
+];
+
+/**
+ * Validate options for an API random pick
+ */
+const validateRandomQuery = [
+  query('showId')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^(tt\d+|tvmaze-\d+)$/)
+    .withMessage('Invalid IMDB ID format'),
+  query('maxRuntime')
+    .optional()
+    .isInt({ min: 1, max: 600 })
+    .withMessage('maxRuntime must be a number of minutes between 1 and 600')
+    .toInt(),
+  query('keyword')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('keyword must be 2-50 characters'),
 ];
 
 /**
@@ -74,19 +158,194 @@ const validateSearchQuery = [
  */
 const validateSeasonSettings = [
   body('enabledSeasons')
+    .optional()
     .isArray()
     .withMessage('enabledSeasons must be an array'),
   body('enabledSeasons.*')
-    .isInt({ min: 1 })
-    .withMessage('Season numbers must be positive integers'),
+    .isInt({ min: 0 })
+    .withMessage('Season numbers must be non-negative integers'),
+  body('includeSpecials')
+    .optional()
+    .isBoolean()
+    .withMessage('includeSpecials must be a boolean')
+    .toBoolean(),
+  body('pickMode')
+    .optional()
+    .isIn(['random', 'shuffle'])
+    .withMessage('pickMode must be one of: random, shuffle'),
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('weight must be a number between 0 and 100')
+    .toFloat(),
+  body('excludedEpisodes')
+    .optional()
+    .isArray({ max: 5000 })
+    .withMessage('excludedEpisodes must be an array'),
+  body('excludedEpisodes.*')
+    .isString()
+    .matches(/^(tt\d+|tvmaze-\d+):\d+:\d+$/)
+    .withMessage('Excluded episodes must be episode IDs like tt1234567:1:5'),
+  body(['airYearFrom', 'airYearTo'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Air-date range years must be between 1900 and 2100')
+    .toInt(),
+  body('airYearTo')
+    .optional({ values: 'null' })
+    .custom((airYearTo, { req }) => {
+      const { airYearFrom } = req.body;
+      return airYearFrom === undefined || airYearFrom === null || airYearFrom <= airYearTo;
+    })
+    .withMessage('airYearFrom must not be after airYearTo'),
+  body('continueInOrder')
+    .optional()
+    .isBoolean()
+    .withMessage('continueInOrder must be a boolean')
+    .toBoolean(),
+  body('ratingMode')
+    .optional()
+    .isIn(['off', 'min', 'weighted'])
+    .withMessage('ratingMode must be one of: off, min, weighted'),
+  body('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('minRating must be a number between 0 and 10')
+    .toFloat(),
+];
+
+/**
+ * Validate user-level randomizer settings
+ */
+const validateUserSettings = [
+  body('cooldownMode')
+    .optional()
+    .isIn(['off', 'picks', 'days'])
+    .withMessage('cooldownMode must be one of: off, picks, days'),
+  body('cooldownValue')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('cooldownValue must be an integer between 1 and 1000')
+    .toInt(),
+  body('showSelectionMode')
+    .optional()
+    .isIn(['uniform', 'episodes', 'custom'])
+    .withMessage('showSelectionMode must be one of: uniform, episodes, custom'),
+  body('excludeUnaired')
+    .optional()
+    .isBoolean()
+    .withMessage('excludeUnaired must be a boolean')
+    .toBoolean(),
+  body('marathonLength')
+    .optional()
+    .isInt({ min: 2, max: 50 })
+    .withMessage('marathonLength must be an integer between 2 and 50')
+    .toInt(),
 ];
 
+/**
+ * Validate options for the metadata refresh job
+ */
+const validateRefreshQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be an integer between 1 and 200')
+    .toInt(),
+];
+
+/**
+ * Validate library export options
+ */
+const validateExportQuery = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be one of: json, csv'),
+];
+
+/**
+ * Validate a library import request
+ * `data` is the exported file's contents (CSV text, or JSON text/object)
+ */
+const validateImportBody = [
+  body('format')
+    .isIn(['json', 'csv'])
+    .withMessage('format must be one of: json, csv'),
+  body('mode')
+    .optional()
+    .isIn(['merge', 'replace'])
+    .withMessage('mode must be one of: merge, replace'),
+  body('data')
+    .exists({ values: 'falsy' })
+    .withMessage('data is required'),
+];
+
+/**
+ * Validate an import of an IMDb or Trakt export file, or of the IMDb IDs a
+ * preview of one matched (`imdbIds`, in place of `source` and `data`)
+ */
+const validateExternalImportBody = [
+  body('imdbIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_SHOWS })
+    .withMessage(`imdbIds must be an array of 1 to ${MAX_SHOWS} IDs`),
+  body('imdbIds.*')
+    .isString()
+    .matches(/^tt\d+$/)
+    .withMessage('Invalid IMDB ID format'),
+  body('source')
+    .if(body('imdbIds').not().exists())
+    .isIn(['imdb', 'trakt'])
+    .withMessage('source must be one of: imdb, trakt'),
+  body('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('preview must be a boolean')
+    .toBoolean(),
+  body('data')
+    .if(body('imdbIds').not().exists())
+    .exists({ values: 'falsy' })
+    .withMessage('data is required'),
+];
+
+/**
+ * Check one imported show row with the same rules as POST /api/shows and
+ * PUT /api/shows/:imdbId/settings
+ *
+ * @param {Object} row - { showId, settings }
+ * @returns {Promise<Object>} { showId, settings (sanitized), error }
+ */
+async function validateImportRow(row) {
+  const req = { body: { imdbId: row.showId, ...row.settings } };
+  for (const chain of [...validateImdbIdBody, ...validateSeasonSettings]) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req);
+  const { imdbId, ...settings } = req.body;
+  return {
+    showId: imdbId,
+    settings,
+    error: errors.isEmpty() ? null : errors.array().map((err) => err.msg).join(', '),
+  };
+}
 
 module.exports = {
   handleValidationErrors,
   validateUserId,
   validateImdbId,
   validateImdbIdBody,
+  validateSeasonParam,
+  validateListId,
+  validateOptionalListId,
+  validateListName,
   validateSearchQuery,
+  validateRandomQuery,
   validateSeasonSettings,
+  validateUserSettings,
+  validateRefreshQuery,
+  validateExportQuery,
+  validateImportBody,
+  validateImportRow,
+  validateExternalImportBody,
 };
@@ -1,5 +1,11 @@
 const express = require('express');
-const { MAX_SHOWS } = require('../config');
+const crypto = require('crypto');
+const {
+  MAX_SHOWS,
+  MAX_LISTS,
+  DEFAULT_SHOW_WEIGHT,
+  CRON_SECRET,
+} = require('../config');
 const {
   getUserId,
   getUserShows,
@@ -7,23 +13,66 @@ const {
   hasShow,
   insertShow,
   deleteShow,
-  getDb,
+  getUserLists,
+  getList,
+  getListShows,
+  getListCount,
+  insertList,
+  renameList,
+  deleteList,
+  addShowToList,
+  removeShowFromList,
+  ping,
   getShowSettings,
   updateShowSettings,
   deleteShowSettings,
+  getUserSettings,
+  updateUserSettings,
+  recordPick,
+  deletePickHistory,
 } = require('../services/db');
-const { fetchMeta } = require('../services/cinemeta');
-const { searchShows, getTvmazeShow } = require('../services/tvmaze');
-const { getAvailableSeasons, getSeasonEpisodeCounts } = require('../services/randomizer');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { getSeriesMeta } = require('../services/metadata');
+const { searchAllShows, withEpisodeCounts } = require('../services/search');
+const { refreshStaleShows } = require('../services/refresh');
+const {
+  resolveShowId,
+  exportLibrary,
+  libraryToCsv,
+  parseLibrary,
+  importLibrary,
+} = require('../services/library');
+const {
+  parseExternalList,
+  itemsFromImdbIds,
+  importExternalList,
+} = require('../services/externalImport');
+const {
+  pickSmartRandomEpisode,
+  getAvailableSeasons,
+  getSeasonEpisodeCounts,
+  getSeasonEpisodes,
+} = require('../services/randomizer');
+const { parseRuntime } = require('../utils/episode');
+const { ErrorTypes, asyncHandler } = require('../middleware/errorHandler');
 const { apiLimiter, searchLimiter } = require('../middleware/rateLimiter');
 const {
   handleValidationErrors,
   validateUserId,
   validateImdbId,
   validateImdbIdBody,
+  validateSeasonParam,
+  validateListId,
+  validateOptionalListId,
+  validateListName,
   validateSearchQuery,
+  validateRandomQuery,
   validateSeasonSettings,
+  validateUserSettings,
+  validateRefreshQuery,
+  validateExportQuery,
+  validateImportBody,
+  validateImportRow,
+  validateExternalImportBody,
 } = require('../middleware/validator');
 
 const router = express.Router();
@@ -31,16 +80,20 @@ const router = express.Router();
 // Apply rate limiting to all API routes
 router.use(apiLimiter);
 
+const SEARCH_PAGE_SIZE = 10;
+
 /**
  * Health check
  */
 router.get('/health', asyncHandler(async (req, res) => {
-  await getDb();
+  await ping();
   res.json({ ok: true });
 }));
 
 /**
- * Search for TV shows
+ * Search for TV shows (TVmaze and Cinemeta, merged)
+ * Paged with `offset`/`limit`; episode counts are looked up for the
+ * returned page only
  */
 router.get('/search',
   searchLimiter,
@@ -48,22 +101,40 @@ router.get('/search',
   handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { q } = req.query;
-    const metas = await searchShows(q);
-    res.json({ metas: metas.slice(0, 10) });
+    const offset = req.query.offset || 0;
+    const limit = req.query.limit || SEARCH_PAGE_SIZE;
+
+    const results = await searchAllShows(q);
+    const metas = await withEpisodeCounts(results.slice(offset, offset + limit));
+    res.json({
+      metas,
+      offset,
+      total: results.length,
+      hasMore: offset + limit < results.length,
+    });
   })
 );
 
 /**
  * Get user's shows
+ * Pass ?list=<listId> to get only the shows in one named list
  */
 router.get('/shows',
   validateUserId,
+  validateOptionalListId,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) {
       return res.status(400).json({ shows: [], limit: MAX_SHOWS });
     }
+    if (req.query.list) {
+      const listShows = await getListShows(userId, req.query.list);
+      if (!listShows) {
+        throw ErrorTypes.NOT_FOUND('List not found');
+      }
+      return res.json({ shows: listShows, limit: MAX_SHOWS });
+    }
     const shows = await getUserShows(userId);
     res.json({ shows, limit: MAX_SHOWS });
   })
@@ -71,47 +142,70 @@ router.get('/shows',
 
 /**
  * Add a show to user's list
+ * With a `listId`, the show is also added to that named list
+ * (shows already in the library are just added to the list); 404 if the
+ * user has no such list
  */
 router.post('/shows',
   validateUserId,
   validateImdbIdBody,
+  validateOptionalListId,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     let { imdbId } = req.body;
+    const { listId } = req.body;
 
     if (!userId) {
       return res.json({ success: false, error: 'Missing user key' });
     }
 
+    if (listId && !(await getList(userId, listId))) {
+      throw ErrorTypes.NOT_FOUND('List not found');
+    }
+
     const showCount = await getShowCount(userId);
     if (showCount >= MAX_SHOWS) {
       return res.json({ success: false, error: `Maximum of ${MAX_SHOWS} shows allowed` });
     }
 
-    // Handle TVmaze IDs
-    if (imdbId.startsWith('tvmaze-')) {
-      const tvmazeId = imdbId.replace('tvmaze-', '');
-      const show = await getTvmazeShow(tvmazeId);
-      if (show && show.externals && show.externals.imdb) {
-        imdbId = show.externals.imdb;
-      } else {
-        return res.json({ success: false, error: 'No IMDB ID available for this show' });
+    // Handle TVmaze IDs - prefer the IMDB ID, otherwise keep the TVmaze ID
+    imdbId = await resolveShowId(imdbId);
+
+    const respondExists = async () => {
+      if (listId) {
+        await addShowToList(userId, listId, imdbId);
+        return res.json({ success: true, exists: true });
       }
-    }
+      return res.json({ success: false, exists: true });
+    };
 
-    const meta = await fetchMeta('series', imdbId);
+    const meta = await getSeriesMeta(imdbId);
     if (meta && meta.meta) {
-      const exists = await hasShow(userId, imdbId);
-      if (exists) {
-        return res.json({ success: false, exists: true });
+      if (await hasShow(userId, imdbId)) {
+        return respondExists();
+      }
+      try {
+        await insertShow(userId, {
+          id: imdbId,
+          name: meta.meta.name,
+          poster: meta.meta.poster,
+          background: meta.meta.background,
+          genres: meta.meta.genres,
+        });
+      } catch (e) {
+        // Another request added the same show since hasShow()
+        if (e.code === 'CONFLICT') return respondExists();
+        throw e;
+      }
+      // Concurrent adds can all pass the limit check above; undo this one if so
+      if (await getShowCount(userId) > MAX_SHOWS) {
+        await deleteShow(userId, imdbId);
+        return res.json({ success: false, error: `Maximum of ${MAX_SHOWS} shows allowed` });
+      }
+      if (listId) {
+        await addShowToList(userId, listId, imdbId);
       }
-      await insertShow(userId, {
-        id: imdbId,
-        name: meta.meta.name,
-        poster: meta.meta.poster,
-        background: meta.meta.background,
-      });
       return res.json({ success: true });
     }
 
@@ -133,15 +227,172 @@ router.delete('/shows/:imdbId',
     }
     await deleteShow(userId, req.params.imdbId);
     await deleteShowSettings(userId, req.params.imdbId);
+    await removeShowFromList(userId, null, req.params.imdbId);
+    await deletePickHistory(userId, req.params.imdbId);
     const shows = await getUserShows(userId);
     res.json({ success: true, shows });
   })
 );
 
+// ===================
+// LISTS
+// ===================
+
+/**
+ * Get user's named lists
+ */
+router.get('/lists',
+  validateUserId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ lists: [], limit: MAX_LISTS });
+    }
+    const lists = await getUserLists(userId);
+    res.json({ lists, limit: MAX_LISTS });
+  })
+);
+
+/**
+ * Create a named list
+ */
+router.post('/lists',
+  validateUserId,
+  validateListName,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.json({ success: false, error: 'Missing user key' });
+    }
+
+    const listCount = await getListCount(userId);
+    if (listCount >= MAX_LISTS) {
+      return res.json({ success: false, error: `Maximum of ${MAX_LISTS} lists allowed` });
+    }
+
+    const list = {
+      listId: crypto.randomBytes(6).toString('hex'),
+      name: req.body.name,
+      showIds: [],
+    };
+    await insertList(userId, list);
+    res.json({ success: true, list });
+  })
+);
+
+/**
+ * Rename a named list
+ */
+router.patch('/lists/:listId',
+  validateUserId,
+  validateListId,
+  validateListName,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ success: false });
+    }
+    const list = await getList(userId, req.params.listId);
+    if (!list) {
+      throw ErrorTypes.NOT_FOUND('List not found');
+    }
+    await renameList(userId, req.params.listId, req.body.name);
+    res.json({ success: true, list: { ...list, name: req.body.name } });
+  })
+);
+
+/**
+ * Delete a named list (its shows stay in the library)
+ */
+router.delete('/lists/:listId',
+  validateUserId,
+  validateListId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ success: false });
+    }
+    await deleteList(userId, req.params.listId);
+    const lists = await getUserLists(userId);
+    res.json({ success: true, lists });
+  })
+);
+
+/**
+ * Add a library show to a named list
+ */
+router.put('/lists/:listId/shows/:imdbId',
+  validateUserId,
+  validateListId,
+  validateImdbId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    const { listId, imdbId } = req.params;
+    if (!userId) {
+      return res.status(400).json({ success: false });
+    }
+    const list = await getList(userId, listId);
+    if (!list) {
+      throw ErrorTypes.NOT_FOUND('List not found');
+    }
+    const exists = await hasShow(userId, imdbId);
+    if (!exists) {
+      return res.json({ success: false, error: 'Show is not in your library' });
+    }
+    await addShowToList(userId, listId, imdbId);
+    res.json({ success: true });
+  })
+);
+
+/**
+ * Remove a show from a named list (it stays in the library)
+ */
+router.delete('/lists/:listId/shows/:imdbId',
+  validateUserId,
+  validateListId,
+  validateImdbId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ success: false });
+    }
+    await removeShowFromList(userId, req.params.listId, req.params.imdbId);
+    res.json({ success: true });
+  })
+);
+
 // ===================
 // SHOW SETTINGS (SEASONS)
 // ===================
 
+/**
+ * Shape a showSettings document for API responses (with defaults filled in)
+ */
+function formatShowSettings(settings) {
+  const bag = settings?.shuffleBag;
+  return {
+    enabledSeasons: settings?.enabledSeasons || [],
+    includeSpecials: Boolean(settings?.includeSpecials),
+    pickMode: settings?.pickMode || 'random',
+    continueInOrder: Boolean(settings?.continueInOrder),
+    weight: settings?.weight ?? DEFAULT_SHOW_WEIGHT,
+    ratingMode: settings?.ratingMode || 'off',
+    minRating: settings?.minRating ?? null,
+    excludedEpisodes: settings?.excludedEpisodes || [],
+    airYearFrom: settings?.airYearFrom ?? null,
+    airYearTo: settings?.airYearTo ?? null,
+    shuffleBag: bag
+      ? { remaining: bag.remaining.length, dealt: bag.dealt.length }
+      : null,
+  };
+}
+
 /**
  * Get available seasons for a show
  */
@@ -156,6 +407,20 @@ router.get('/shows/:imdbId/seasons',
   })
 );
 
+/**
+ * Get the episodes of one season (for the per-episode include/exclude UI)
+ */
+router.get('/shows/:imdbId/seasons/:season/episodes',
+  validateImdbId,
+  validateSeasonParam,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { imdbId } = req.params;
+    const episodes = await getSeasonEpisodes(imdbId, Number(req.params.season));
+    res.json({ episodes });
+  })
+);
+
 /**
  * Get show settings for a user
  */
@@ -172,14 +437,13 @@ router.get('/shows/:imdbId/settings',
     }
     
     const settings = await getShowSettings(userId, imdbId);
-    res.json({
-      enabledSeasons: settings?.enabledSeasons || [],
-    });
+    res.json(formatShowSettings(settings));
   })
 );
 
 /**
  * Update show settings for a user
+ * A single air-year bound is checked against the stored other bound
  */
 router.put('/shows/:imdbId/settings',
   validateUserId,
@@ -189,14 +453,227 @@ router.put('/shows/:imdbId/settings',
   asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     const { imdbId } = req.params;
-    const { enabledSeasons } = req.body;
     
     if (!userId) {
       return res.status(400).json({ error: 'Missing user key' });
     }
+
+    if (('airYearFrom' in req.body) !== ('airYearTo' in req.body)) {
+      const stored = (await getShowSettings(userId, imdbId)) || {};
+      const { airYearFrom, airYearTo } = {
+        airYearFrom: stored.airYearFrom ?? null,
+        airYearTo: stored.airYearTo ?? null,
+        ...req.body,
+      };
+      if (airYearFrom !== null && airYearTo !== null && airYearFrom > airYearTo) {
+        throw ErrorTypes.VALIDATION('airYearFrom must not be after airYearTo');
+      }
+    }
     
-    await updateShowSettings(userId, imdbId, { enabledSeasons });
-    res.json({ success: true, enabledSeasons });
+    await updateShowSettings(userId, imdbId, req.body);
+    const settings = await getShowSettings(userId, imdbId);
+    res.json({ success: true, ...formatShowSettings(settings) });
+  })
+);
+
+// ===================
+// RANDOM PICKS
+// ===================
+
+/**
+ * Pick a random episode from the user's shows
+ * Options: showId (limit to one show), maxRuntime (minutes the episode must fit in)
+ */
+router.get('/random',
+  validateUserId,
+  validateRandomQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing user key' });
+    }
+
+    const { showId, keyword } = req.query;
+    const maxRuntime = req.query.maxRuntime ? Number(req.query.maxRuntime) : null;
+
+    const userShows = await getUserShows(userId);
+    const payload = await pickSmartRandomEpisode(userId, userShows, showId || null, {
+      maxRuntime,
+      keyword: keyword || null,
+    });
+    if (!payload) {
+      throw ErrorTypes.NOT_FOUND('No matching episode found');
+    }
+
+    await recordPick(userId, {
+      showId: payload.show.id,
+      episodeId: payload.episodeId,
+      season: payload.season,
+      episode: payload.episode,
+    });
+
+    const video = payload.video || {};
+    res.json({
+      episode: {
+        id: payload.episodeId,
+        showId: payload.show.id,
+        showName: payload.seriesMeta.meta.name,
+        season: payload.season,
+        episode: payload.episode,
+        title: video.name || video.title || '',
+        released: video.released || video.firstAired || '',
+        runtime: payload.runtime ?? parseRuntime(payload.seriesMeta.meta.runtime),
+        stremioUrl: `stremio:///detail/series/${payload.show.id}/${encodeURIComponent(payload.episodeId)}`,
+      },
+    });
+  })
+);
+
+// ===================
+// USER SETTINGS
+// ===================
+
+/**
+ * Get randomizer settings for a user
+ */
+router.get('/settings',
+  validateUserId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing user key' });
+    }
+
+    const settings = await getUserSettings(userId);
+    res.json(settings);
+  })
+);
+
+/**
+ * Update randomizer settings for a user
+ */
+router.put('/settings',
+  validateUserId,
+  validateUserSettings,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing user key' });
+    }
+
+    await updateUserSettings(userId, req.body);
+    const settings = await getUserSettings(userId);
+    res.json({ success: true, ...settings });
+  })
+);
+
+// ===================
+// IMPORT / EXPORT
+// ===================
+
+/**
+ * Export the user's library (shows and their settings)
+ * `format=json` (default) or `format=csv`, sent as a file download
+ */
+router.get('/export',
+  validateUserId,
+  validateExportQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing user key' });
+    }
+
+    const library = await exportLibrary(userId);
+    const date = library.exportedAt.slice(0, 10);
+    if (req.query.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="tv-randomizer-${date}.csv"`);
+      return res.type('text/csv').send(libraryToCsv(library));
+    }
+    res.set('Content-Disposition', `attachment; filename="tv-randomizer-${date}.json"`);
+    res.json(library);
+  })
+);
+
+/**
+ * Import a library exported by GET /api/export
+ * Body: { format: 'json'|'csv', mode: 'merge'|'replace', data }
+ * Responds with a result per row plus a summary
+ */
+router.post('/import',
+  validateUserId,
+  validateImportBody,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'Missing user key' });
+    }
+
+    const rows = parseLibrary(req.body.format, req.body.data);
+    if (rows.length === 0) {
+      throw ErrorTypes.VALIDATION('No shows found in the import file');
+    }
+    if (rows.length > MAX_SHOWS) {
+      throw ErrorTypes.VALIDATION(`Import files can have at most ${MAX_SHOWS} shows`);
+    }
+
+    const checked = [];
+    for (const row of rows) {
+      checked.push(await validateImportRow(row));
+    }
+    const { results, summary } = await importLibrary(userId, checked, req.body.mode || 'merge');
+    res.json({ success: summary.failed === 0, results, summary });
+  })
+);
+
+/**
+ * Add shows from an IMDb list CSV or Trakt JSON backup
+ * Body: { source: 'imdb'|'trakt', data, preview }
+ * With `preview`, nothing is added; the response says which titles matched,
+ * which are movies or otherwise skipped, and which would exceed MAX_SHOWS.
+ * A preview is confirmed by posting its matched IDs as { imdbIds }.
+ */
+router.post('/import/external',
+  validateUserId,
+  validateExternalImportBody,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'Missing user key' });
+    }
+
+    const items = req.body.imdbIds
+      ? itemsFromImdbIds(req.body.imdbIds)
+      : parseExternalList(req.body.source, req.body.data);
+    const result = await importExternalList(userId, items, { preview: req.body.preview });
+    res.json({ success: true, preview: Boolean(req.body.preview), ...result });
+  })
+);
+
+// ===================
+// MAINTENANCE
+// ===================
+
+/**
+ * Refresh stored show metadata (name, artwork, genres)
+ * Called by Vercel Cron (see vercel.json); requires `Authorization: Bearer <CRON_SECRET>`
+ */
+router.get('/cron/refresh-shows',
+  validateRefreshQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (!CRON_SECRET || req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+      throw ErrorTypes.UNAUTHORIZED('Invalid cron secret');
+    }
+
+    const summary = await refreshStaleShows({ limit: req.query.limit });
+    res.json({ success: true, ...summary });
   })
 );
 
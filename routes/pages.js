@@ -1,5 +1,6 @@
 const express = require('express');
 const path = require('path');
+const { decodeAddonConfig } = require('../utils/addonConfig');
 
 const router = express.Router();
 
@@ -25,6 +26,16 @@ router.get('/configure', (req, res) => {
   res.redirect(params ? `/myshows?${params}` : '/myshows');
 });
 
+/**
+ * Configure redirect for path-config installs (/:config/configure)
+ */
+router.get('/:config/configure', (req, res) => {
+  const addonConfig = decodeAddonConfig(req.params.config);
+  res.redirect(addonConfig
+    ? `/myshows?user=${encodeURIComponent(addonConfig.user)}`
+    : '/myshows');
+});
+
 /**
  * Settings alias
  */
@@ -1,11 +1,32 @@
 const express = require('express');
-const { manifest } = require('../config');
-const { getUserId, getUserShows, hasShow } = require('../services/db');
+const {
+  getUserId,
+  getUserShows,
+  getUserLists,
+  getList,
+  getListShows,
+  hasShow,
+  recordPick,
+  getLatestPick,
+  getUserSettings,
+  getPlaylist,
+} = require('../services/db');
 const { fetchMeta } = require('../services/cinemeta');
+const { getSeriesMeta } = require('../services/metadata');
 const { pickSmartRandomEpisode } = require('../services/randomizer');
+const { createMarathon } = require('../services/marathon');
+const { buildManifest } = require('../services/manifest');
 const { resolveEpisodeDescription } = require('../services/history');
-const { parseEpisodeId, findEpisodeVideo, buildEpisodeMeta } = require('../utils/episode');
-const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  parseEpisodeId,
+  parseRuntime,
+  findEpisodeVideo,
+  getFollowingVideos,
+  buildEpisodeMeta,
+  buildPlaylistMeta,
+} = require('../utils/episode');
+const { decodeAddonConfig } = require('../utils/addonConfig');
+const { asyncHandler, ErrorTypes } = require('../middleware/errorHandler');
 const { stremioLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -13,33 +34,283 @@ const router = express.Router();
 // Apply rate limiting to Stremio routes
 router.use(stremioLimiter);
 
+const RANDOM_ALL_POSTER = 'https://i.redd.it/e2wriei591m51.jpg';
+const MARATHON_NAME = '🎲 Random Marathon';
+// How long after a pick its episode still offers a "Reroll" stream
+const REROLL_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Decode the install config segment of /:config/... routes
+ * The user key and preferences end up on req.addonConfig
+ */
+router.param('config', (req, res, next, value) => {
+  const addonConfig = decodeAddonConfig(value);
+  if (!addonConfig) {
+    return next(ErrorTypes.VALIDATION('Invalid addon config in URL'));
+  }
+  req.addonConfig = addonConfig;
+  next();
+});
+
+/**
+ * Serve a resource both at its plain path (query-string installs)
+ * and under the /:config prefix
+ */
+function withConfigPaths(...paths) {
+  return paths.flatMap((path) => [path, `/:config${path}`]);
+}
+
+/**
+ * Read catalog extras from the path segment (e.g. "runtime=25 min")
+ * and the query string
+ */
+function getCatalogExtras(req) {
+  const extras = { ...req.query };
+  if (req.params.extra) {
+    for (const [key, value] of new URLSearchParams(req.params.extra)) {
+      extras[key] = value;
+    }
+  }
+  return extras;
+}
+
+/**
+ * Parse a runtime action ID
+ * Format: "random-episode-runtime:<minutes>" or
+ *         "random-episode-runtime:<minutes>:<showId>"
+ */
+function parseRuntimeActionId(id) {
+  const [minutes, ...rest] = id.replace('random-episode-runtime:', '').split(':');
+  const maxRuntime = parseRuntime(minutes);
+  if (!maxRuntime) return null;
+  return { maxRuntime, showId: rest.join(':') || null };
+}
+
+/**
+ * Normalize text for name matching (case- and accent-insensitive)
+ */
+function normalizeSearchText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Filter shows whose name contains every word of the search query
+ */
+function filterShowsBySearch(shows, query) {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return shows;
+  return shows.filter((show) => {
+    const name = normalizeSearchText(show.name);
+    return words.every((word) => name.includes(word));
+  });
+}
+
+/**
+ * Build episode metadata for a pick
+ * In sequential mode the meta is served as "random-episode-from:<episodeId>"
+ * and lists the series' following episodes, so playback continues in order
+ * from the random starting point (and re-requests rebuild the same list)
+ */
+function buildPickMeta(seriesMeta, episodeId, season, episode, video, description, sequential) {
+  const options = sequential
+    ? {
+      metaId: `random-episode-from:${episodeId}`,
+      following: getFollowingVideos(seriesMeta, season, episode),
+    }
+    : {};
+  return buildEpisodeMeta(seriesMeta, episodeId, season, episode, video, description, options);
+}
+
+/**
+ * Record a random pick and respond with its episode metadata
+ * Sequential when requested by the action or by the show's settings.
+ * `scope` is the action ID, stored so the stream handler can offer a reroll
+ */
+async function sendPick(res, userId, payload, { sequential = false, scope = null } = {}) {
+  if (!payload) {
+    return res.json({ meta: null });
+  }
+
+  // Remember the pick so the cooldown can skip it next time
+  await recordPick(userId, {
+    showId: payload.show.id,
+    episodeId: payload.episodeId,
+    season: payload.season,
+    episode: payload.episode,
+    scope,
+  });
+
+  const description = await resolveEpisodeDescription(
+    payload.seriesMeta,
+    payload.video,
+    payload.season,
+    payload.episode,
+  );
+
+  // KEY FIX: Return the canonical episode ID, not the action ID
+  // This ensures Stremio caches the correct metadata
+  return res.json(buildPickMeta(
+    payload.seriesMeta,
+    payload.episodeId,  // e.g., "tt0944947:1:5" - stable ID
+    payload.season,
+    payload.episode,
+    payload.video,
+    description,
+    sequential || payload.continueInOrder,
+  ));
+}
+
+/**
+ * Build "Random [Show Name]" catalog items
+ */
+function buildShowItems(shows) {
+  return shows.map((show) => ({
+    id: `random-episode-show:${show.id}`,
+    type: 'series',
+    name: `🎲 Random ${show.name}`,
+    poster: show.poster,
+    background: show.background,
+  }));
+}
+
+/**
+ * Filter shows tagged with a genre (case-insensitive)
+ */
+function filterShowsByGenre(shows, genre) {
+  const wanted = genre.toLowerCase();
+  return shows.filter((show) => (
+    (show.genres || []).some((item) => item.toLowerCase() === wanted)
+  ));
+}
+
 /**
  * Addon manifest
+ * Built per user so each named list gets its own catalog and the genre
+ * extra lists the genres of the user's shows
  */
-router.get('/manifest.json', (req, res) => {
+router.get(withConfigPaths('/manifest.json'), asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const [userLists, userShows] = userId
+    ? await Promise.all([getUserLists(userId), getUserShows(userId)])
+    : [[], []];
   res.set('Content-Type', 'application/json');
-  res.json(manifest);
-});
+  res.json(buildManifest(userLists, userShows));
+}));
 
 /**
  * Catalog handler
+ * Extras arrive either as a path segment (/catalog/series/random-episode/runtime=25 min.json)
+ * or in the query string
  */
-router.get('/catalog/:type/:id.json', asyncHandler(async (req, res) => {
+router.get(withConfigPaths('/catalog/:type/:id.json', '/catalog/:type/:id/:extra.json'), asyncHandler(async (req, res) => {
   const { type, id } = req.params;
   const userId = getUserId(req);
+  const extras = getCatalogExtras(req);
 
-  console.log('Catalog request:', type, id, req.query);
+  console.log('Catalog request:', type, id, extras);
 
   if (id === 'random-episode') {
     const items = [];
-    const userShows = await getUserShows(userId);
+    const search = (extras.search || '').trim();
+    const allShows = await getUserShows(userId);
+    const userShows = search ? filterShowsBySearch(allShows, search) : allShows;
+
+    // Time budget selected - offer runtime-limited actions instead
+    const maxRuntime = parseRuntime(extras.runtime);
+    if (maxRuntime) {
+      if (userShows.length > 0) {
+        items.push({
+          id: `random-episode-runtime:${maxRuntime}`,
+          type: 'series',
+          name: `🎲 Random Episode Under ${maxRuntime} Min`,
+          poster: RANDOM_ALL_POSTER,
+          description:
+            `Click to play a random episode that fits in ${maxRuntime} minutes`,
+          behaviorHints: {
+            bingeGroup: 'random-episode',
+            featured: true,
+          },
+        });
+      }
+
+      items.push(
+        ...userShows.map((show) => ({
+          id: `random-episode-runtime:${maxRuntime}:${show.id}`,
+          type: 'series',
+          name: `🎲 ${show.name} Under ${maxRuntime} Min`,
+          poster: show.poster,
+          background: show.background,
+        })),
+      );
+
+      return res.json({ metas: items });
+    }
+
+    // Genre selected - shows with that genre plus "Random [Genre]"
+    const genre = (extras.genre || '').trim();
+    if (genre) {
+      const genreShows = filterShowsByGenre(userShows, genre);
+      if (genreShows.length > 0) {
+        items.push({
+          id: `random-episode-genre:${encodeURIComponent(genre)}`,
+          type: 'series',
+          name: `🎲 Random ${genre}`,
+          poster: RANDOM_ALL_POSTER,
+          description: `Click to play a random episode from your ${genre} shows`,
+          behaviorHints: {
+            bingeGroup: 'random-episode',
+            featured: true,
+          },
+        });
+      }
+      items.push(...buildShowItems(genreShows));
+      return res.json({ metas: items });
+    }
+
+    // Search - the matching shows plus a random pick across just those,
+    // and a pick of episodes about the query across the whole library
+    if (search) {
+      if (userShows.length > 0) {
+        items.push({
+          id: `random-episode-search:${encodeURIComponent(search)}`,
+          type: 'series',
+          name: '🎲 Random from matching shows',
+          poster: RANDOM_ALL_POSTER,
+          description:
+            `Click to play a random episode from your shows matching "${search}"`,
+          behaviorHints: {
+            bingeGroup: 'random-episode',
+            featured: true,
+          },
+        });
+      }
+      if (allShows.length > 0) {
+        items.push({
+          id: `random-episode-keyword:${encodeURIComponent(search)}`,
+          type: 'series',
+          name: `🎲 Random "${search}" Episode`,
+          poster: RANDOM_ALL_POSTER,
+          description:
+            `Click to play a random episode whose title or summary mentions "${search}"`,
+          behaviorHints: {
+            bingeGroup: 'random-episode',
+          },
+        });
+      }
+      items.push(...buildShowItems(userShows));
+      return res.json({ metas: items });
+    }
 
     if (userShows.length > 0) {
       items.push({
         id: 'random-episode-action',
         type: 'series',
         name: '🎲 Random All Shows',
-        poster: 'https://i.redd.it/e2wriei591m51.jpg',
+        poster: RANDOM_ALL_POSTER,
         description:
           'Click to play a random episode from any show in your list',
         behaviorHints: {
@@ -47,21 +318,63 @@ router.get('/catalog/:type/:id.json', asyncHandler(async (req, res) => {
           featured: true,
         },
       });
+      items.push({
+        id: 'random-episode-start',
+        type: 'series',
+        name: '🎲 Random Starting Point',
+        poster: RANDOM_ALL_POSTER,
+        description:
+          'Click to start at a random episode and keep watching in order',
+        behaviorHints: {
+          featured: true,
+        },
+      });
+      items.push({
+        id: 'random-episode-marathon',
+        type: 'series',
+        name: MARATHON_NAME,
+        poster: RANDOM_ALL_POSTER,
+        description:
+          'Click to queue a run of random episodes that autoplay one after another',
+        behaviorHints: {
+          featured: true,
+        },
+      });
     }
 
-    items.push(
-      ...userShows.map((show) => ({
-        id: `random-episode-show:${show.id}`,
-        type: 'series',
-        name: `🎲 Random ${show.name}`,
-        poster: show.poster,
-        background: show.background,
-      })),
-    );
+    items.push(...buildShowItems(userShows));
 
     return res.json({ metas: items });
   }
 
+  // Named list catalogs: "Random [List Name]" plus the list's shows
+  if (id.startsWith('random-list:')) {
+    const listId = id.replace('random-list:', '');
+    const list = await getList(userId, listId);
+    const listShows = list ? await getListShows(userId, listId) : [];
+    if (!list || listShows.length === 0) {
+      return res.json({ metas: [] });
+    }
+
+    return res.json({
+      metas: [
+        {
+          id: `random-episode-list:${listId}`,
+          type: 'series',
+          name: `🎲 Random ${list.name}`,
+          poster: RANDOM_ALL_POSTER,
+          description:
+            `Click to play a random episode from any show in "${list.name}"`,
+          behaviorHints: {
+            bingeGroup: 'random-episode',
+            featured: true,
+          },
+        },
+        ...buildShowItems(listShows),
+      ],
+    });
+  }
+
   res.json({ metas: [] });
 }));
 
@@ -75,16 +388,17 @@ router.get('/catalog/:type/:id.json', asyncHandler(async (req, res) => {
  * 3. This ensures subsequent requests use the stable episode ID
  * 4. Return metadata with the canonical episode ID
  */
-router.get('/meta/:type/:id.json', asyncHandler(async (req, res) => {
+router.get(withConfigPaths('/meta/:type/:id.json'), asyncHandler(async (req, res) => {
   const { type, id } = req.params;
   const userId = getUserId(req);
+  const settingsOverrides = req.addonConfig?.preferences || {};
 
   console.log('Meta request:', type, id);
 
   // Handle direct episode ID requests (e.g., tt0944947:1:5)
   const episodeInfo = parseEpisodeId(id);
   if (episodeInfo) {
-    const meta = await fetchMeta('series', episodeInfo.showId);
+    const meta = await getSeriesMeta(episodeInfo.showId);
     if (meta && meta.meta) {
       const video = findEpisodeVideo(
         meta,
@@ -111,29 +425,8 @@ router.get('/meta/:type/:id.json', asyncHandler(async (req, res) => {
   // Handle "Random All Shows" action
   if (id === 'random-episode-action') {
     const userShows = await getUserShows(userId);
-    const payload = await pickSmartRandomEpisode(userId, userShows);
-    
-    if (!payload) {
-      return res.json({ meta: null });
-    }
-
-    const description = await resolveEpisodeDescription(
-      payload.seriesMeta,
-      payload.video,
-      payload.season,
-      payload.episode,
-    );
-
-    // KEY FIX: Return the canonical episode ID, not 'random-episode-action'
-    // This ensures Stremio caches the correct metadata
-    return res.json(buildEpisodeMeta(
-      payload.seriesMeta,
-      payload.episodeId,  // e.g., "tt0944947:1:5" - stable ID
-      payload.season,
-      payload.episode,
-      payload.video,
-      description,
-    ));
+    const payload = await pickSmartRandomEpisode(userId, userShows, null, { settingsOverrides });
+    return sendPick(res, userId, payload, { scope: id });
   }
 
   // Handle "Random [Show Name]" action
@@ -144,50 +437,195 @@ router.get('/meta/:type/:id.json', asyncHandler(async (req, res) => {
     }
 
     const userShows = await getUserShows(userId);
-    const payload = await pickSmartRandomEpisode(userId, userShows, showId);
+    const payload = await pickSmartRandomEpisode(userId, userShows, showId, { settingsOverrides });
+    return sendPick(res, userId, payload, { scope: id });
+  }
 
-    if (!payload) {
+  // Handle "Random Episode Under N Min" actions (all shows or one show)
+  if (id.startsWith('random-episode-runtime:')) {
+    const action = parseRuntimeActionId(id);
+    if (!action) {
       return res.json({ meta: null });
     }
 
+    const userShows = await getUserShows(userId);
+    const payload = await pickSmartRandomEpisode(userId, userShows, action.showId, {
+      maxRuntime: action.maxRuntime,
+      settingsOverrides,
+    });
+    return sendPick(res, userId, payload, { scope: id });
+  }
+
+  // Handle "Random from matching shows" (catalog search) action
+  if (id.startsWith('random-episode-search:')) {
+    let search = '';
+    try {
+      search = decodeURIComponent(id.replace('random-episode-search:', ''));
+    } catch (e) {
+      return res.json({ meta: null });
+    }
+
+    const matchingShows = filterShowsBySearch(await getUserShows(userId), search);
+    const payload = await pickSmartRandomEpisode(userId, matchingShows, null, {
+      settingsOverrides,
+    });
+    return sendPick(res, userId, payload, { scope: id });
+  }
+
+  // Handle "Random [Genre]" action
+  if (id.startsWith('random-episode-genre:')) {
+    let genre = '';
+    try {
+      genre = decodeURIComponent(id.replace('random-episode-genre:', '')).trim();
+    } catch (e) {
+      return res.json({ meta: null });
+    }
+    if (!genre) {
+      return res.json({ meta: null });
+    }
+
+    const genreShows = filterShowsByGenre(await getUserShows(userId), genre);
+    const payload = await pickSmartRandomEpisode(userId, genreShows, null, {
+      settingsOverrides,
+    });
+    return sendPick(res, userId, payload, { scope: id });
+  }
+
+  // Handle "Random "<keyword>" Episode" (catalog search) action
+  if (id.startsWith('random-episode-keyword:')) {
+    let keyword = '';
+    try {
+      keyword = decodeURIComponent(id.replace('random-episode-keyword:', '')).trim();
+    } catch (e) {
+      return res.json({ meta: null });
+    }
+    if (!keyword) {
+      return res.json({ meta: null });
+    }
+
+    const userShows = await getUserShows(userId);
+    const payload = await pickSmartRandomEpisode(userId, userShows, null, {
+      keyword,
+      settingsOverrides,
+    });
+    return sendPick(res, userId, payload, { scope: id });
+  }
+
+  // Handle "Random [List Name]" action
+  if (id.startsWith('random-episode-list:')) {
+    const listShows = await getListShows(userId, id.replace('random-episode-list:', ''));
+    const payload = await pickSmartRandomEpisode(userId, listShows || [], null, {
+      settingsOverrides,
+    });
+    return sendPick(res, userId, payload, { scope: id });
+  }
+
+  // Handle "Random Starting Point" actions (all shows or one show)
+  // Format: "random-episode-start" or "random-episode-start:<showId>"
+  if (id === 'random-episode-start' || id.startsWith('random-episode-start:')) {
+    const showId = id.replace(/^random-episode-start:?/, '').trim() || null;
+    const userShows = await getUserShows(userId);
+    const payload = await pickSmartRandomEpisode(userId, userShows, showId, { settingsOverrides });
+    return sendPick(res, userId, payload, { sequential: true, scope: id });
+  }
+
+  // Handle a sequential pick re-requested by Stremio (stable, no new pick)
+  if (id.startsWith('random-episode-from:')) {
+    const startInfo = parseEpisodeId(id.replace('random-episode-from:', ''));
+    const meta = startInfo ? await getSeriesMeta(startInfo.showId) : null;
+    if (!meta || !meta.meta) {
+      return res.json({ meta: null });
+    }
+
+    const video = findEpisodeVideo(meta, startInfo.season, startInfo.episode);
     const description = await resolveEpisodeDescription(
-      payload.seriesMeta,
-      payload.video,
-      payload.season,
-      payload.episode,
+      meta,
+      video,
+      startInfo.season,
+      startInfo.episode,
     );
-
-    // KEY FIX: Return the canonical episode ID
-    return res.json(buildEpisodeMeta(
-      payload.seriesMeta,
-      payload.episodeId,  // Stable episode ID
-      payload.season,
-      payload.episode,
-      payload.video,
+    return res.json(buildPickMeta(
+      meta,
+      id.replace('random-episode-from:', ''),
+      startInfo.season,
+      startInfo.episode,
+      video,
       description,
+      true,
     ));
   }
 
+  // Handle "Random Marathon" action - queue N random episodes as a playlist
+  if (id === 'random-episode-marathon') {
+    const userShows = await getUserShows(userId);
+    const { marathonLength } = {
+      ...await getUserSettings(userId),
+      ...settingsOverrides,
+    };
+    const playlist = await createMarathon(
+      userId,
+      userShows,
+      marathonLength,
+      settingsOverrides,
+    );
+    if (!playlist) {
+      return res.json({ meta: null });
+    }
+    return res.json(buildPlaylistMeta(playlist, {
+      name: MARATHON_NAME,
+      poster: RANDOM_ALL_POSTER,
+    }));
+  }
+
+  // Handle a stored playlist (re-requested by Stremio while playing through it)
+  if (id.startsWith('random-episode-playlist:')) {
+    const playlist = await getPlaylist(id.replace('random-episode-playlist:', ''));
+    if (!playlist) {
+      return res.json({ meta: null });
+    }
+    return res.json(buildPlaylistMeta(playlist, {
+      name: MARATHON_NAME,
+      poster: RANDOM_ALL_POSTER,
+    }));
+  }
+
   // Handle regular series metadata requests
   const userShow = userId ? await hasShow(userId, id) : false;
   if (userShow) {
-    const meta = await fetchMeta('series', id);
+    const meta = await getSeriesMeta(id);
     if (meta) return res.json(meta);
   }
 
-  const meta = await fetchMeta(type, id);
+  const meta = type === 'series' ? await getSeriesMeta(id) : await fetchMeta(type, id);
   res.json(meta || { meta: null });
 }));
 
 /**
  * Stream handler
  * We don't provide streams - we rely on other addons (Torrentio, etc.)
+ * Episodes reached via a random action get a "Reroll" entry that opens the
+ * same action again (all shows, the same show, list, genre...)
  */
-router.get('/stream/:type/:id.json', asyncHandler(async (req, res) => {
-  console.log('Stream request:', req.params.type, req.params.id);
-  
-  // We don't provide streams, but returning empty array allows other addons to handle it
-  res.json({ streams: [] });
+router.get(withConfigPaths('/stream/:type/:id.json'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = getUserId(req);
+  console.log('Stream request:', req.params.type, id);
+
+  const streams = [];
+  if (userId && parseEpisodeId(id)) {
+    const since = new Date(Date.now() - REROLL_WINDOW_MS);
+    const pick = await getLatestPick(userId, id, since);
+    if (pick?.scope) {
+      streams.push({
+        name: '🎲 Reroll',
+        description: 'Skip this one and pick another random episode',
+        externalUrl: `stremio:///detail/series/${encodeURIComponent(pick.scope)}`,
+      });
+    }
+  }
+
+  // Returning our entries (or an empty array) lets other addons provide the actual streams
+  res.json({ streams });
 }));
 
 module.exports = router;
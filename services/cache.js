@@ -0,0 +1,158 @@
+const { CACHE_BACKEND } = require('../config');
+const { getDb } = require('./storage/mongo');
+
+/**
+ * TTL cache for external metadata (Cinemeta, TVmaze)
+ *
+ * Every cache keeps an in-memory LRU. With CACHE_BACKEND=mongo, entries are
+ * also stored in the `metaCache` collection so they survive across
+ * serverless instances. Concurrent lookups of the same key share one load.
+ *
+ * Failed loads (the loader throws or returns `undefined`) are never cached;
+ * any other value (including null, e.g. "show not on TVmaze") is.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+let mongoIndexReady = null;
+
+/**
+ * In-memory LRU backend (Map insertion order = recency)
+ */
+function createMemoryBackend(maxEntries) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Move to the most recently used end
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set(key, value, expiresAt) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+/**
+ * Mongo backend, shared by every instance
+ * Values are stored as JSON so arbitrary field names are safe;
+ * a TTL index on `expiresAt` clears stale entries
+ */
+function createMongoBackend(namespace) {
+  async function getCollection() {
+    const db = await getDb();
+    const collection = db.collection('metaCache');
+    if (!mongoIndexReady) {
+      mongoIndexReady = collection
+        .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        .catch((e) => {
+          mongoIndexReady = null;
+          console.error('Failed to create metaCache index:', e);
+        });
+    }
+    await mongoIndexReady;
+    return collection;
+  }
+
+  return {
+    async get(key) {
+      try {
+        const collection = await getCollection();
+        const doc = await collection.findOne({ _id: `${namespace}:${key}` });
+        if (!doc || doc.expiresAt <= new Date()) return undefined;
+        return { value: JSON.parse(doc.json), expiresAt: doc.expiresAt.getTime() };
+      } catch (e) {
+        console.error('Cache read failed:', e);
+        return undefined;
+      }
+    },
+    async set(key, value, expiresAt) {
+      try {
+        const collection = await getCollection();
+        await collection.updateOne(
+          { _id: `${namespace}:${key}` },
+          { $set: { json: JSON.stringify(value), expiresAt: new Date(expiresAt) } },
+          { upsert: true },
+        );
+      } catch (e) {
+        console.error('Cache write failed:', e);
+      }
+    },
+  };
+}
+
+/**
+ * Create a named cache
+ *
+ * @param {string} namespace - Key prefix (also used for Mongo entries)
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long entries stay fresh
+ * @param {number} [options.maxEntries] - In-memory LRU size bound
+ * @param {boolean} [options.shared] - Also use the Mongo backend when
+ *   enabled (set false for values that aren't JSON, like Maps)
+ * @returns {{ get: Function, set: Function, wrap: Function }}
+ */
+function createCache(namespace, { ttlMs, maxEntries = DEFAULT_MAX_ENTRIES, shared = true }) {
+  const memory = createMemoryBackend(maxEntries);
+  const mongo = shared && CACHE_BACKEND === 'mongo' ? createMongoBackend(namespace) : null;
+  const inflight = new Map();
+
+  async function get(key) {
+    const entry = memory.get(key);
+    if (entry) return entry.value;
+    if (!mongo) return undefined;
+
+    const stored = await mongo.get(key);
+    if (!stored) return undefined;
+    memory.set(key, stored.value, stored.expiresAt);
+    return stored.value;
+  }
+
+  async function set(key, value) {
+    if (value === undefined) return;
+    const expiresAt = Date.now() + ttlMs;
+    memory.set(key, value, expiresAt);
+    if (mongo) await mongo.set(key, value, expiresAt);
+  }
+
+  /**
+   * Return the cached value or load it, coalescing concurrent loads
+   */
+  function wrap(key, loader) {
+    const entry = memory.get(key);
+    if (entry) return Promise.resolve(entry.value);
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = (async () => {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+      const value = await loader();
+      await set(key, value);
+      return value;
+    })().finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    get,
+    set,
+    wrap,
+  };
+}
+
+module.exports = {
+  createCache,
+};
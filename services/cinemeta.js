@@ -1,19 +1,53 @@
 const { CINEMETA_URL } = require('../config');
-const fetchFn = global.fetch || require('node-fetch');
+const { createCache } = require('./cache');
+const { fetchJson } = require('./httpClient');
+
+// Series metadata changes rarely; cache it for a few hours
+const metaCache = createCache('cinemeta-meta', {
+  ttlMs: 6 * 60 * 60 * 1000,
+  maxEntries: 300,
+});
 
 /**
- * Fetch metadata from Cinemeta
+ * Fetch metadata from Cinemeta (cached)
+ * Returns null if Cinemeta doesn't know the ID; throws EXTERNAL_API if it's down
  */
 async function fetchMeta(type, id) {
-  try {
-    const response = await fetchFn(`${CINEMETA_URL}/meta/${type}/${id}.json`);
-    if (response.ok) {
-      return await response.json();
-    }
-  } catch (e) {
-    console.error('Failed to fetch meta:', e);
-  }
-  return null;
+  const meta = await metaCache.wrap(
+    `${type}:${id}`,
+    () => fetchJson(`${CINEMETA_URL}/meta/${type}/${id}.json`),
+  );
+  return meta || null;
+}
+
+/**
+ * Search Cinemeta's series catalog
+ * Throws EXTERNAL_API if Cinemeta is down
+ */
+async function searchSeries(query) {
+  if (!query || query.length < 2) return [];
+
+  const data = await fetchJson(
+    `${CINEMETA_URL}/catalog/series/top/search=${encodeURIComponent(query)}.json`,
+  );
+  return (data && data.metas ? data.metas : [])
+    .filter((meta) => meta && meta.id && meta.id.startsWith('tt'))
+    .map((meta) => {
+      // releaseInfo is "2005-2013" for ended shows and "2019-" for running ones
+      const releaseInfo = String(meta.releaseInfo || '');
+      const ended = /^\d{4}\s*[-–]\s*\d{4}$/.test(releaseInfo);
+      const running = /^\d{4}\s*[-–]\s*$/.test(releaseInfo);
+      return {
+        id: meta.id,
+        imdbId: meta.id,
+        tvmazeId: null,
+        name: meta.name,
+        poster: meta.poster || null,
+        year: releaseInfo.substring(0, 4) || null,
+        network: null,
+        status: ended ? 'ended' : running ? 'running' : null,
+      };
+    });
 }
 
 /**
@@ -38,5 +72,6 @@ async function getShowSeasons(showId) {
 
 module.exports = {
   fetchMeta,
+  searchSeries,
   getShowSeasons,
 };
@@ -1,195 +1,86 @@
-const { MongoClient } = require('mongodb');
-const { MONGODB_URI, MONGODB_DB } = require('../config');
-
-let mongoClient;
-let mongoDb;
-let mongoClientPromise;
-
-/**
- * Extract database name from MongoDB URI
- */
-function getDbNameFromUri(uri) {
-  try {
-    const parsed = new URL(uri);
-    if (!parsed.pathname || parsed.pathname === '/') return null;
-    return parsed.pathname.replace('/', '') || null;
-  } catch (e) {
-    return null;
-  }
-}
+const { STORAGE_BACKEND } = require('../config');
 
 /**
- * Get MongoDB database connection (singleton)
+ * Storage interface used by the routes and services
+ *
+ * Backends (selected by STORAGE_BACKEND):
+ * - mongo: MongoDB (services/storage/mongo.js)
+ * - file: a local JSON file, for self-hosting (services/storage/file.js)
+ *
+ * Both export the same async operations with the same return shapes, listed
+ * in module.exports below; `ping()` throws when the store is unreachable.
+ * A user holds each show once: `insertShow` throws ErrorTypes.CONFLICT for
+ * a duplicate, even when two requests race.
  */
-async function getDb() {
-  if (!MONGODB_URI) {
-    throw new Error('Missing MONGODB_URI');
-  }
-  if (mongoDb) return mongoDb;
-  if (!mongoClient) {
-    mongoClient = new MongoClient(MONGODB_URI, {
-      serverSelectionTimeoutMS: 10000,
-      tls: true,
-    });
-  }
-  if (!mongoClientPromise) {
-    mongoClientPromise = mongoClient.connect();
-  }
-  await mongoClientPromise;
-  const dbName = MONGODB_DB || getDbNameFromUri(MONGODB_URI);
-  if (!dbName) {
-    console.warn('No database name set in MONGODB_URI or MONGODB_DB');
-  }
-  mongoDb = mongoClient.db(dbName || undefined);
-  return mongoDb;
-}
+const storage = STORAGE_BACKEND === 'file'
+  ? require('./storage/file')
+  : require('./storage/mongo');
 
 /**
  * Extract user ID from request
+ * Path config (/:config/manifest.json) wins over the query string
  */
 function getUserId(req) {
-  const userId =
-    (req.query.user || req.query.uid || req.headers['x-user-id'] || '').trim();
+  const userId = (
+    req.addonConfig?.user ||
+    req.query.user ||
+    req.query.uid ||
+    req.headers['x-user-id'] ||
+    ''
+  ).trim();
   return userId || null;
 }
 
-// ===================
-// SHOWS OPERATIONS
-// ===================
-
-/**
- * Get all shows for a user
- */
-async function getUserShows(userId) {
-  if (!userId) return [];
-  const db = await getDb();
-  const rows = await db
-    .collection('shows')
-    .find({ userId })
-    .sort({ createdAt: -1 })
-    .project({ _id: 0, showId: 1, name: 1, poster: 1, background: 1 })
-    .toArray();
-  return rows.map((row) => ({
-    id: row.showId,
-    name: row.name,
-    poster: row.poster,
-    background: row.background,
-  }));
-}
-
-/**
- * Get count of shows for a user
- */
-async function getShowCount(userId) {
-  if (!userId) return 0;
-  const db = await getDb();
-  return db.collection('shows').countDocuments({ userId });
-}
-
-/**
- * Check if user has a specific show
- */
-async function hasShow(userId, showId) {
-  if (!userId) return false;
-  const db = await getDb();
-  const existing = await db
-    .collection('shows')
-    .findOne({ userId, showId }, { projection: { _id: 1 } });
-  return Boolean(existing);
-}
-
-/**
- * Insert a new show for a user
- */
-async function insertShow(userId, show) {
-  if (!userId) return;
-  const db = await getDb();
-  await db.collection('shows').insertOne({
-    userId,
-    showId: show.id,
-    name: show.name,
-    poster: show.poster,
-    background: show.background,
-    createdAt: new Date(),
-  });
-}
-
-/**
- * Delete a show for a user
- */
-async function deleteShow(userId, showId) {
-  if (!userId) return;
-  const db = await getDb();
-  await db.collection('shows').deleteOne({ userId, showId });
-}
-
-// ===================
-// SHOW SETTINGS OPERATIONS
-// ===================
-
-/**
- * Get settings for a specific show
- */
-async function getShowSettings(userId, showId) {
-  if (!userId || !showId) return null;
-  const db = await getDb();
-  return db.collection('showSettings').findOne({ userId, showId });
-}
-
-/**
- * Update settings for a specific show
- */
-async function updateShowSettings(userId, showId, settings) {
-  if (!userId || !showId) return;
-  const db = await getDb();
-  
-  await db.collection('showSettings').updateOne(
-    { userId, showId },
-    {
-      $set: {
-        userId,
-        showId,
-        enabledSeasons: settings.enabledSeasons || [],
-        updatedAt: new Date(),
-      },
-      $setOnInsert: {
-        createdAt: new Date(),
-      },
-    },
-    { upsert: true }
-  );
-}
-
-/**
- * Delete settings for a specific show
- */
-async function deleteShowSettings(userId, showId) {
-  if (!userId || !showId) return;
-  const db = await getDb();
-  await db.collection('showSettings').deleteOne({ userId, showId });
-}
-
 /**
- * Get settings for all shows a user has
+ * Get the shows in one of a user's lists (same shape as getUserShows)
+ * Returns null if the list doesn't exist
  */
-async function getAllShowSettings(userId) {
-  if (!userId) return [];
-  const db = await getDb();
-  return db.collection('showSettings').find({ userId }).toArray();
+async function getListShows(userId, listId) {
+  const list = await storage.getList(userId, listId);
+  if (!list) return null;
+  const showIds = new Set(list.showIds || []);
+  const shows = await storage.getUserShows(userId);
+  return shows.filter((show) => showIds.has(show.id));
 }
 
 module.exports = {
-  getDb,
   getUserId,
+  ping: storage.ping,
   // Shows
-  getUserShows,
-  getShowCount,
-  hasShow,
-  insertShow,
-  deleteShow,
+  getUserShows: storage.getUserShows,
+  getShowCount: storage.getShowCount,
+  hasShow: storage.hasShow,
+  insertShow: storage.insertShow,
+  deleteShow: storage.deleteShow,
+  getStaleShowIds: storage.getStaleShowIds,
+  updateShowMetadata: storage.updateShowMetadata,
+  markShowMissing: storage.markShowMissing,
+  markShowRefreshFailed: storage.markShowRefreshFailed,
+  // Lists
+  getUserLists: storage.getUserLists,
+  getList: storage.getList,
+  getListShows,
+  getListCount: storage.getListCount,
+  insertList: storage.insertList,
+  renameList: storage.renameList,
+  deleteList: storage.deleteList,
+  addShowToList: storage.addShowToList,
+  removeShowFromList: storage.removeShowFromList,
   // Show settings
-  getShowSettings,
-  updateShowSettings,
-  deleteShowSettings,
-  getAllShowSettings,
+  getShowSettings: storage.getShowSettings,
+  updateShowSettings: storage.updateShowSettings,
+  updateShuffleBag: storage.updateShuffleBag,
+  deleteShowSettings: storage.deleteShowSettings,
+  getAllShowSettings: storage.getAllShowSettings,
+  // User settings
+  getUserSettings: storage.getUserSettings,
+  updateUserSettings: storage.updateUserSettings,
+  // Pick history
+  recordPick: storage.recordPick,
+  getLatestPick: storage.getLatestPick,
+  getRecentPicks: storage.getRecentPicks,
+  deletePickHistory: storage.deletePickHistory,
+  // Playlists
+  insertPlaylist: storage.insertPlaylist,
+  getPlaylist: storage.getPlaylist,
 };
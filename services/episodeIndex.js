@@ -0,0 +1,78 @@
+const { fetchTvmazeEpisodeTexts } = require('./tvmaze');
+const { createCache } = require('./cache');
+const { getSeasonEpisodeFromVideo } = require('../utils/episode');
+
+// Per-show episode text index (keyed by IMDB ID), rebuilt after a few hours
+// Kept in memory only: the index is a Map and cheap to rebuild from cached data
+const episodeTextIndexCache = createCache('episode-text-index', {
+  ttlMs: 6 * 60 * 60 * 1000,
+  maxEntries: 200,
+  shared: false,
+});
+
+// Themes that also match a few related words
+const THEME_KEYWORDS = {
+  christmas: ['christmas', 'xmas', 'santa', 'mistletoe', 'noel'],
+  halloween: ['halloween', 'trick or treat', 'haunted', 'costume party'],
+  thanksgiving: ['thanksgiving', 'turkey day'],
+  'new year': ['new year', 'new years'],
+  valentine: ['valentine'],
+  wedding: ['wedding', 'bride', 'groom', 'married', 'marry'],
+  birthday: ['birthday'],
+};
+
+/**
+ * Normalize text for keyword matching (lowercase, no accents or punctuation)
+ */
+function normalizeIndexText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build (or reuse) the text index for a show
+ * Combines Cinemeta video titles/overviews with TVmaze titles/summaries
+ *
+ * @returns {Map<string, string>} "season:episode" -> normalized text
+ */
+function getEpisodeTextIndex(showId, seriesMeta) {
+  return episodeTextIndexCache.wrap(showId, async () => {
+    const tvmazeTexts = await fetchTvmazeEpisodeTexts(showId);
+    const index = new Map();
+    for (const video of seriesMeta?.meta?.videos || []) {
+      const { season, episode } = getSeasonEpisodeFromVideo(video);
+      const key = `${season}:${episode}`;
+      const parts = [
+        video.name || video.title,
+        video.overview || video.description,
+        tvmazeTexts.get(key),
+      ];
+      index.set(key, normalizeIndexText(parts.filter(Boolean).join(' ')));
+    }
+    return index;
+  });
+}
+
+/**
+ * Build a matcher for a keyword or theme
+ * Terms match at the start of a word, so "christmas" also finds "christmases"
+ *
+ * @returns {Function|null} (text) => boolean, or null for an empty keyword
+ */
+function createKeywordMatcher(keyword) {
+  const normalized = normalizeIndexText(keyword);
+  if (!normalized) return null;
+
+  const terms = THEME_KEYWORDS[normalized] || [normalized];
+  const patterns = terms.map((term) => new RegExp(`(^| )${normalizeIndexText(term)}`));
+  return (text) => patterns.some((pattern) => pattern.test(text));
+}
+
+module.exports = {
+  getEpisodeTextIndex,
+  createKeywordMatcher,
+};
@@ -0,0 +1,267 @@
+const { MAX_SHOWS, LOOKUP_CONCURRENCY } = require('../config');
+const { ErrorTypes } = require('../middleware/errorHandler');
+const { getUserShows, insertShow } = require('./db');
+const { fetchMeta } = require('./cinemeta');
+const { parseCsv } = require('../utils/csv');
+const { mapConcurrent } = require('../utils/concurrency');
+
+/**
+ * Bulk-add shows from other services' export files
+ *
+ * - IMDb: list or watchlist CSV export (Const, Title, Title Type, Year columns)
+ * - Trakt: JSON backup (watchlist, watched, collection, ratings or list
+ *   files, or several of them combined); items carry `show` or `movie`
+ *
+ * Files are read into { title, year, imdbId, kind } items, where kind is
+ * 'series', 'movie' or the source's type name for anything else.
+ */
+
+const MAX_ITEMS = 5000;
+
+// Cinemeta lookups per request
+const MAX_LOOKUPS = MAX_SHOWS;
+
+// IMDb "Title Type" values, lowercased without spaces or dashes
+// (current exports use tvSeries/movie, older ones "TV Series"/"Feature Film")
+const IMDB_SERIES_TYPES = new Set(['tvseries', 'tvminiseries']);
+const IMDB_MOVIE_TYPES = new Set(['movie', 'featurefilm', 'tvmovie', 'short', 'tvshort', 'video']);
+
+const IMDB_ID_PATTERN = /^tt\d+$/;
+
+/**
+ * Read an IMDb list/watchlist CSV export
+ */
+function parseImdbCsv(text) {
+  if (typeof text !== 'string') throw ErrorTypes.VALIDATION('IMDb export must be CSV text');
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (e) {
+    throw ErrorTypes.VALIDATION(`Invalid CSV: ${e.message}`);
+  }
+  if (records.length > 0 && !('Const' in records[0])) {
+    throw ErrorTypes.VALIDATION('Not an IMDb list export (missing "Const" column)');
+  }
+
+  return records.map((record) => {
+    const titleType = record['Title Type'] || '';
+    const type = titleType.toLowerCase().replace(/[^a-z]/g, '');
+    let kind = titleType || 'unknown';
+    if (IMDB_SERIES_TYPES.has(type)) kind = 'series';
+    else if (IMDB_MOVIE_TYPES.has(type)) kind = 'movie';
+    return {
+      title: record.Title || record['Original Title'] || record.Const,
+      year: Number(record.Year) || null,
+      imdbId: IMDB_ID_PATTERN.test(record.Const) ? record.Const : null,
+      kind,
+    };
+  });
+}
+
+/**
+ * Collect the show/movie entries anywhere in a Trakt backup
+ * Episode and season entries count as their show
+ */
+function collectTraktItems(node, items, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 4) return;
+  if (Array.isArray(node)) {
+    for (const child of node) collectTraktItems(child, items, depth + 1);
+    return;
+  }
+  for (const kind of ['show', 'movie']) {
+    const entry = node[kind];
+    if (entry && typeof entry === 'object' && entry.ids) {
+      const imdbId = String(entry.ids.imdb || '');
+      items.push({
+        title: entry.title || entry.ids.slug || 'Untitled',
+        year: Number(entry.year) || null,
+        imdbId: IMDB_ID_PATTERN.test(imdbId) ? imdbId : null,
+        kind: kind === 'show' ? 'series' : 'movie',
+      });
+      return;
+    }
+  }
+  for (const child of Object.values(node)) collectTraktItems(child, items, depth + 1);
+}
+
+/**
+ * Read a Trakt JSON backup (text or already-parsed)
+ */
+function parseTraktJson(data) {
+  let backup = data;
+  if (typeof data === 'string') {
+    try {
+      backup = JSON.parse(data);
+    } catch (e) {
+      throw ErrorTypes.VALIDATION('Invalid JSON');
+    }
+  }
+  const items = [];
+  collectTraktItems(backup, items);
+  return items;
+}
+
+/**
+ * Read an export file from the given source
+ * Duplicate titles (e.g. a show in both watchlist and history) are dropped
+ *
+ * @param {'imdb'|'trakt'} source
+ * @param {string|Object} data - File contents
+ * @throws {AppError} VALIDATION if the file can't be read or has no titles
+ */
+function parseExternalList(source, data) {
+  const parsed = source === 'imdb' ? parseImdbCsv(data) : parseTraktJson(data);
+  if (parsed.length === 0) {
+    throw ErrorTypes.VALIDATION('No titles found in the file');
+  }
+  if (parsed.length > MAX_ITEMS) {
+    throw ErrorTypes.VALIDATION(`Files can have at most ${MAX_ITEMS} titles`);
+  }
+
+  const seen = new Set();
+  return parsed.filter((item) => {
+    const key = item.imdbId || `${item.kind}:${item.title}:${item.year}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Build items for the IMDb IDs a preview matched, so confirming it doesn't
+ * re-read the file (titles are filled in from Cinemeta)
+ */
+function itemsFromImdbIds(imdbIds) {
+  return [...new Set(imdbIds)].map((imdbId) => ({
+    title: imdbId,
+    year: null,
+    imdbId,
+    kind: 'series',
+  }));
+}
+
+/**
+ * Match parsed items against Cinemeta and, unless previewing, add the
+ * matches to the user's library
+ *
+ * Item statuses:
+ * - matched: a series Cinemeta knows (added when not previewing)
+ * - exists: already in the library
+ * - movie: skipped, movies can't be randomized
+ * - skipped: another kind of title (episode, game...) or no IMDb ID
+ * - not-found: Cinemeta has no episodes listing for it
+ * - over-limit: would take the library past MAX_SHOWS
+ * - unchecked: past the MAX_LOOKUPS titles looked up per request
+ * - failed: the lookup or insert failed
+ *
+ * Lookups run a few at a time; titles that can only be over the limit
+ * aren't looked up.
+ *
+ * @param {string} userId
+ * @param {Array} items - From parseExternalList or itemsFromImdbIds
+ * @param {Object} [options]
+ * @param {boolean} [options.preview] - Only report what would happen
+ * @returns {Promise<Object>} { items: [{ title, year, imdbId, status, reason? }], summary }
+ */
+async function importExternalList(userId, items, { preview = false } = {}) {
+  const libraryIds = new Set((await getUserShows(userId)).map((show) => show.id));
+  const slots = MAX_SHOWS - libraryIds.size;
+  const results = items.map((item) => ({ title: item.title, year: item.year, imdbId: item.imdbId }));
+
+  const lookups = [];
+  const unchecked = [];
+  items.forEach((item, index) => {
+    const result = results[index];
+    if (item.kind === 'movie') {
+      result.status = 'movie';
+    } else if (item.kind !== 'series') {
+      Object.assign(result, { status: 'skipped', reason: `Not a TV series (${item.kind})` });
+    } else if (!item.imdbId) {
+      Object.assign(result, { status: 'skipped', reason: 'No IMDb ID' });
+    } else if (libraryIds.has(item.imdbId)) {
+      result.status = 'exists';
+    } else if (lookups.length < MAX_LOOKUPS) {
+      lookups.push(result);
+    } else {
+      unchecked.push(result);
+    }
+  });
+
+  // Lookups start in file order, so once the matches so far fill the
+  // library, every later title is over the limit
+  let matchedSoFar = 0;
+  const metaById = new Map();
+  await mapConcurrent(lookups, LOOKUP_CONCURRENCY, async (result) => {
+    if (matchedSoFar >= slots) {
+      result.status = 'over-limit';
+      return;
+    }
+    let meta;
+    try {
+      meta = await fetchMeta('series', result.imdbId);
+    } catch (e) {
+      Object.assign(result, { status: 'failed', reason: e.message });
+      return;
+    }
+    // Without episodes the show could never be picked
+    if (!meta || !meta.meta || !meta.meta.videos?.length) {
+      result.status = 'not-found';
+      return;
+    }
+    metaById.set(result.imdbId, meta.meta);
+    result.title = meta.meta.name || result.title;
+    result.status = 'matched';
+    matchedSoFar += 1;
+  });
+
+  let slotsLeft = slots;
+  for (const result of lookups) {
+    if (result.status !== 'matched') continue;
+    // A later title can match before an earlier one finishes its lookup
+    if (slotsLeft <= 0) {
+      result.status = 'over-limit';
+      continue;
+    }
+    if (!preview) {
+      const meta = metaById.get(result.imdbId);
+      try {
+        await insertShow(userId, {
+          id: result.imdbId,
+          name: meta.name,
+          poster: meta.poster,
+          background: meta.background,
+          genres: meta.genres,
+        });
+        result.status = 'added';
+      } catch (e) {
+        if (e.code !== 'CONFLICT') throw e;
+        result.status = 'exists';
+        continue;
+      }
+    }
+    slotsLeft -= 1;
+  }
+
+  for (const result of unchecked) {
+    if (slotsLeft <= 0) {
+      result.status = 'over-limit';
+    } else {
+      Object.assign(result, {
+        status: 'unchecked',
+        reason: `Only ${MAX_LOOKUPS} titles are looked up at a time; import the file again for the rest`,
+      });
+    }
+  }
+
+  const summary = {};
+  for (const result of results) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+  return { items: results, summary };
+}
+
+module.exports = {
+  parseExternalList,
+  itemsFromImdbIds,
+  importExternalList,
+};
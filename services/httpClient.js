@@ -0,0 +1,198 @@
+const { ErrorTypes } = require('../middleware/errorHandler');
+const fetchFn = global.fetch || require('node-fetch');
+
+/**
+ * Shared client for outbound HTTP calls (Cinemeta, TVmaze)
+ *
+ * Per host: a request timeout, bounded retries with exponential backoff and
+ * jitter, a concurrency limit plus optional rate window, and a circuit
+ * breaker that fails fast while the host keeps erroring.
+ *
+ * `fetchJson` resolves to the parsed body, or null for 404 ("not found").
+ * Anything else that goes wrong raises ErrorTypes.EXTERNAL_API.
+ */
+
+const DEFAULT_POLICY = {
+  timeoutMs: 10000,
+  retries: 1,
+  maxConcurrent: 8,
+  // Optional rate budget: at most `rateLimit` requests per `rateWindowMs`
+  rateLimit: null,
+  rateWindowMs: 0,
+  // Open the circuit after this many consecutive failures, for this long
+  breakerThreshold: 5,
+  breakerCooldownMs: 30000,
+};
+
+const HOST_POLICIES = {
+  'v3-cinemeta.strem.io': { timeoutMs: 8000, retries: 2, maxConcurrent: 6 },
+  // TVmaze allows 20 calls every 10 seconds per IP
+  'api.tvmaze.com': {
+    timeoutMs: 8000,
+    retries: 3,
+    maxConcurrent: 4,
+    rateLimit: 20,
+    rateWindowMs: 10000,
+  },
+};
+
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 5000;
+
+const hostStates = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Get (or create) the limiter/breaker state for a host
+ */
+function getHostState(host) {
+  if (!hostStates.has(host)) {
+    hostStates.set(host, {
+      policy: { ...DEFAULT_POLICY, ...HOST_POLICIES[host] },
+      active: 0,
+      queue: [],
+      recentStarts: [],
+      failures: 0,
+      openUntil: 0,
+    });
+  }
+  return hostStates.get(host);
+}
+
+/**
+ * Wait for a concurrency slot and rate budget on a host
+ */
+async function acquireSlot(state) {
+  const { maxConcurrent, rateLimit, rateWindowMs } = state.policy;
+
+  // A released slot is handed straight to the next waiter
+  if (state.active >= maxConcurrent) {
+    await new Promise((resolve) => state.queue.push(resolve));
+  } else {
+    state.active += 1;
+  }
+
+  if (rateLimit) {
+    for (;;) {
+      const now = Date.now();
+      state.recentStarts = state.recentStarts.filter((time) => now - time < rateWindowMs);
+      if (state.recentStarts.length < rateLimit) break;
+      await sleep(rateWindowMs - (now - state.recentStarts[0]));
+    }
+    state.recentStarts.push(Date.now());
+  }
+}
+
+function releaseSlot(state) {
+  const next = state.queue.shift();
+  if (next) {
+    next();
+  } else {
+    state.active -= 1;
+  }
+}
+
+/**
+ * Delay before retry `attempt` (1-based): exponential backoff with full
+ * jitter, or the server's Retry-After when it sent one
+ */
+function getRetryDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, BACKOFF_MAX_MS);
+  }
+  const cap = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(Math.random() * cap);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * One request with a timeout
+ */
+async function fetchWithTimeout(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetchFn(url, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch JSON from an external API
+ *
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Object|Array|null>} Parsed body, or null on 404
+ * @throws {AppError} EXTERNAL_API when the host is down, slow, rate limiting
+ *   us past the retries, or its circuit is open
+ */
+async function fetchJson(url) {
+  const { host } = new URL(url);
+  const state = getHostState(host);
+  const { policy } = state;
+
+  if (state.openUntil > Date.now()) {
+    throw ErrorTypes.EXTERNAL_API(`${host} is unavailable, try again shortly`);
+  }
+
+  let lastError = null;
+  for (let attempt = 0; attempt <= policy.retries; attempt++) {
+    let retryAfter = null;
+    let retryable = true;
+
+    await acquireSlot(state);
+    try {
+      const response = await fetchWithTimeout(url, policy.timeoutMs);
+      if (response.status === 404) {
+        state.failures = 0;
+        return null;
+      }
+      if (response.ok) {
+        const data = await response.json();
+        state.failures = 0;
+        return data;
+      }
+
+      lastError = ErrorTypes.EXTERNAL_API(`${host} responded with ${response.status}`);
+      // Other 4xx mean a bad request, not a struggling host
+      retryable = isRetryableStatus(response.status);
+      retryAfter = response.headers.get('retry-after');
+    } catch (e) {
+      lastError = ErrorTypes.EXTERNAL_API(
+        e.name === 'AbortError'
+          ? `${host} timed out after ${policy.timeoutMs}ms`
+          : `${host} request failed: ${e.message}`,
+      );
+    } finally {
+      releaseSlot(state);
+    }
+
+    if (!retryable) throw lastError;
+    if (attempt < policy.retries) {
+      await sleep(getRetryDelay(attempt + 1, retryAfter));
+    }
+  }
+
+  // Count the failed call toward the host's circuit breaker
+  state.failures += 1;
+  if (state.failures >= policy.breakerThreshold) {
+    state.openUntil = Date.now() + policy.breakerCooldownMs;
+    state.failures = 0;
+    console.warn(`Circuit open for ${host} for ${policy.breakerCooldownMs}ms`);
+  }
+  throw lastError;
+}
+
+module.exports = {
+  fetchJson,
+};
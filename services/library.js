@@ -0,0 +1,277 @@
+const { MAX_SHOWS, LOOKUP_CONCURRENCY } = require('../config');
+const { ErrorTypes } = require('../middleware/errorHandler');
+const {
+  getUserShows,
+  insertShow,
+  deleteShow,
+  removeShowFromList,
+  updateShowSettings,
+  deleteShowSettings,
+  getAllShowSettings,
+  deletePickHistory,
+} = require('./db');
+const { SHOW_SETTING_FIELDS, pickFields } = require('./storage/fields');
+const { getSeriesMeta } = require('./metadata');
+const { getTvmazeShow } = require('./tvmaze');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { mapConcurrent } = require('../utils/concurrency');
+
+const EXPORT_VERSION = 1;
+
+// Array settings, written to CSV as ";"-separated cells
+const LIST_FIELDS = ['enabledSeasons', 'excludedEpisodes'];
+const CSV_HEADERS = ['showId', 'name', ...SHOW_SETTING_FIELDS];
+
+/**
+ * Resolve a TVmaze ID to the show's IMDB ID when it has one
+ * (IMDB IDs and TVmaze-only shows are returned unchanged)
+ */
+async function resolveShowId(showId) {
+  if (!showId.startsWith('tvmaze-')) return showId;
+  const show = await getTvmazeShow(showId.replace('tvmaze-', ''));
+  return show && show.externals && show.externals.imdb ? show.externals.imdb : showId;
+}
+
+// ===================
+// EXPORT
+// ===================
+
+/**
+ * Get a user's library: their shows plus every showSettings document
+ * (user-editable fields only; shuffle bags are not exported)
+ */
+async function exportLibrary(userId) {
+  const [shows, settingsDocs] = await Promise.all([
+    getUserShows(userId),
+    getAllShowSettings(userId),
+  ]);
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    shows: shows.map(({ id, name, poster, background, genres }) => ({
+      id,
+      name,
+      poster,
+      background,
+      genres,
+    })),
+    showSettings: settingsDocs.map((doc) => ({
+      showId: doc.showId,
+      ...pickFields(doc, SHOW_SETTING_FIELDS),
+    })),
+  };
+}
+
+/**
+ * Format an exported library as CSV, one row per show
+ */
+function libraryToCsv(library) {
+  const settingsById = new Map(library.showSettings.map((doc) => [doc.showId, doc]));
+  const rows = library.shows.map((show) => {
+    const settings = settingsById.get(show.id) || {};
+    const row = { showId: show.id, name: show.name };
+    for (const field of SHOW_SETTING_FIELDS) {
+      const value = settings[field];
+      row[field] = LIST_FIELDS.includes(field) && Array.isArray(value) ? value.join(';') : value;
+    }
+    return row;
+  });
+  return toCsv(CSV_HEADERS, rows);
+}
+
+// ===================
+// IMPORT
+// ===================
+
+/**
+ * Read an exported library into rows of { showId, settings }
+ * Settings are not validated here (see validateImportRow)
+ *
+ * @param {'json'|'csv'} format
+ * @param {string|Object} data - File contents (JSON may already be parsed)
+ * @throws {AppError} VALIDATION if the file can't be read
+ */
+function parseLibrary(format, data) {
+  if (format === 'csv') {
+    if (typeof data !== 'string') throw ErrorTypes.VALIDATION('CSV data must be text');
+    let records;
+    try {
+      records = parseCsv(data);
+    } catch (e) {
+      throw ErrorTypes.VALIDATION(`Invalid CSV: ${e.message}`);
+    }
+    return records.map((record) => {
+      const settings = {};
+      for (const field of SHOW_SETTING_FIELDS) {
+        const value = (record[field] || '').trim();
+        if (value === '') continue;
+        if (LIST_FIELDS.includes(field)) {
+          const items = value.split(';').map((item) => item.trim()).filter(Boolean);
+          settings[field] = field === 'enabledSeasons' ? items.map(Number) : items;
+        } else {
+          settings[field] = value;
+        }
+      }
+      return { showId: (record.showId || '').trim(), settings };
+    });
+  }
+
+  let library = data;
+  if (typeof data === 'string') {
+    try {
+      library = JSON.parse(data);
+    } catch (e) {
+      throw ErrorTypes.VALIDATION('Invalid JSON');
+    }
+  }
+  if (!library || !Array.isArray(library.shows)) {
+    throw ErrorTypes.VALIDATION('JSON export must have a "shows" array');
+  }
+
+  const settingsById = new Map();
+  for (const doc of Array.isArray(library.showSettings) ? library.showSettings : []) {
+    if (doc && typeof doc.showId === 'string') settingsById.set(doc.showId, doc);
+  }
+  return library.shows.map((show) => {
+    const showId = typeof show?.id === 'string' ? show.id.trim() : '';
+    const stored = pickFields(settingsById.get(showId) || {}, SHOW_SETTING_FIELDS);
+    const settings = {};
+    for (const [field, value] of Object.entries(stored)) {
+      // Unset bounds export as null, which the validators only accept for the air years
+      if (value !== null || field === 'airYearFrom' || field === 'airYearTo') {
+        settings[field] = value;
+      }
+    }
+    return { showId, settings };
+  });
+}
+
+/**
+ * Remove a show and everything attached to it (as DELETE /api/shows does)
+ */
+async function removeLibraryShow(userId, showId) {
+  await deleteShow(userId, showId);
+  await deleteShowSettings(userId, showId);
+  await removeShowFromList(userId, null, showId);
+  await deletePickHistory(userId, showId);
+}
+
+/**
+ * Import validated rows into a user's library
+ *
+ * - merge: add new shows; shows already in the library get the imported
+ *   settings fields on top of their own
+ * - replace: the library becomes exactly the imported shows, with only the
+ *   imported settings. If any row fails, nothing changes. Imported shows are
+ *   written before the others are removed, so an import cut short leaves the
+ *   old shows in place rather than an emptied library.
+ *
+ * IDs are resolved like POST /api/shows (TVmaze IDs become IMDB IDs when
+ * possible, new shows must have metadata), a few rows at a time, and
+ * MAX_SHOWS is enforced.
+ *
+ * @param {string} userId
+ * @param {Array} rows - From validateImportRow: { showId, settings, error }
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<Object>} { results: [{ row, showId, status, error? }], summary }
+ *   status is one of added, updated, skipped, failed
+ */
+async function importLibrary(userId, rows, mode = 'merge') {
+  const results = rows.map((row, index) => ({ row: index + 1, showId: row.showId, status: null }));
+  const fail = (result, status, error) => Object.assign(result, { status, error });
+  const existingIds = new Set((await getUserShows(userId)).map((show) => show.id));
+
+  // Resolve every row before changing anything
+  const resolved = await mapConcurrent(rows, LOOKUP_CONCURRENCY, async (row) => {
+    if (row.error) return { error: row.error };
+    let showId;
+    try {
+      showId = await resolveShowId(row.showId);
+      if (existingIds.has(showId)) return { showId, meta: null };
+      const meta = await getSeriesMeta(showId);
+      if (!meta || !meta.meta) return { showId, error: 'Failed to fetch show metadata' };
+      return { showId, meta: meta.meta };
+    } catch (e) {
+      return { showId, error: e.isOperational ? e.message : 'Failed to fetch show metadata' };
+    }
+  });
+
+  const accepted = [];
+  const seen = new Set();
+  for (const [index, row] of rows.entries()) {
+    const result = results[index];
+    const { showId, meta, error } = resolved[index];
+    if (showId) result.showId = showId;
+    if (showId && seen.has(showId)) {
+      fail(result, 'skipped', 'Duplicate of an earlier row');
+      continue;
+    }
+    if (error) {
+      fail(result, 'failed', error);
+      continue;
+    }
+    seen.add(showId);
+    accepted.push({ result, showId, meta, settings: row.settings });
+  }
+
+  const anyFailed = results.some((result) => result.status === 'failed');
+  if (mode === 'replace' && anyFailed) {
+    for (const { result } of accepted) {
+      fail(result, 'skipped', 'Not imported: replace needs every row to be valid');
+    }
+    accepted.length = 0;
+  }
+
+  // Exports list the newest show first, so add from the bottom up to keep
+  // the library in the same order. Replaced shows don't count toward the limit.
+  let showCount = mode === 'replace'
+    ? [...existingIds].filter((id) => seen.has(id)).length
+    : existingIds.size;
+  for (const { result, showId, meta, settings } of [...accepted].reverse()) {
+    let added = false;
+    if (meta) {
+      if (showCount >= MAX_SHOWS) {
+        fail(result, 'skipped', `Maximum of ${MAX_SHOWS} shows allowed`);
+        continue;
+      }
+      try {
+        await insertShow(userId, {
+          id: showId,
+          name: meta.name,
+          poster: meta.poster,
+          background: meta.background,
+          genres: meta.genres,
+        });
+        added = true;
+        showCount += 1;
+      } catch (e) {
+        // Added by another request since it was checked
+        if (e.code !== 'CONFLICT') throw e;
+      }
+    }
+    if (mode === 'replace') await deleteShowSettings(userId, showId);
+    if (Object.keys(settings).length > 0) await updateShowSettings(userId, showId, settings);
+    result.status = added ? 'added' : 'updated';
+  }
+
+  let removed = 0;
+  if (mode === 'replace' && !anyFailed) {
+    for (const showId of existingIds) {
+      if (seen.has(showId)) continue;
+      await removeLibraryShow(userId, showId);
+      removed += 1;
+    }
+  }
+
+  const summary = { added: 0, updated: 0, skipped: 0, failed: 0, removed };
+  for (const result of results) summary[result.status] += 1;
+  return { results, summary };
+}
+
+module.exports = {
+  resolveShowId,
+  exportLibrary,
+  libraryToCsv,
+  parseLibrary,
+  importLibrary,
+};
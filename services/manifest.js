@@ -0,0 +1,54 @@
+const { manifest } = require('../config');
+
+/**
+ * Collect the distinct genres of a user's shows, sorted by name
+ */
+function getShowGenres(userShows = []) {
+  const genres = new Set();
+  for (const show of userShows) {
+    for (const genre of show.genres || []) {
+      genres.add(genre);
+    }
+  }
+  return [...genres].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Build the addon manifest for a user
+ *
+ * Starts from the shared base manifest, adds a genre extra to the main
+ * catalog with the genres of the user's shows, and adds one catalog per
+ * named list so each list shows up in Stremio with its own "Random" action.
+ * Without a user (or shows and lists) this is just the base manifest.
+ */
+function buildManifest(userLists = [], userShows = []) {
+  const genres = getShowGenres(userShows);
+  if (userLists.length === 0 && genres.length === 0) return manifest;
+
+  const catalogs = manifest.catalogs.map((catalog) => (
+    catalog.id === 'random-episode' && genres.length > 0
+      ? {
+        ...catalog,
+        extra: [
+          ...catalog.extra,
+          { name: 'genre', isRequired: false, options: genres },
+        ],
+      }
+      : catalog
+  ));
+
+  const listCatalogs = userLists.map((list) => ({
+    type: 'series',
+    id: `random-list:${list.listId}`,
+    name: `Random: ${list.name}`,
+  }));
+
+  return {
+    ...manifest,
+    catalogs: [...catalogs, ...listCatalogs],
+  };
+}
+
+module.exports = {
+  buildManifest,
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { pickSmartRandomEpisode } = require('./randomizer');
+const { insertPlaylist, recordPick } = require('./db');
+
+/**
+ * Generate a "Random Marathon": a queue of random episodes from the user's
+ * shows, stored server-side under a playlist ID so the meta handler can
+ * serve it as one playable list
+ *
+ * @param {string} userId - User ID
+ * @param {Array} userShows - List of user's shows
+ * @param {number} length - Number of episodes to queue
+ * @param {Object} [settingsOverrides] - Install preferences for the picks
+ * @returns {Object|null} The stored playlist, or null if nothing could be picked
+ */
+async function createMarathon(userId, userShows, length, settingsOverrides = {}) {
+  const queued = new Set();
+  const items = [];
+
+  for (let i = 0; i < length; i++) {
+    const payload = await pickSmartRandomEpisode(userId, userShows, null, {
+      excludeEpisodeIds: queued,
+      settingsOverrides,
+    });
+    if (!payload) break;
+
+    queued.add(payload.episodeId);
+    items.push(buildPlaylistItem(payload));
+
+    // Queued episodes count as picks for the no-repeat cooldown
+    await recordPick(userId, {
+      showId: payload.show.id,
+      episodeId: payload.episodeId,
+      season: payload.season,
+      episode: payload.episode,
+    });
+  }
+
+  if (items.length === 0) return null;
+
+  const playlist = {
+    playlistId: crypto.randomBytes(8).toString('hex'),
+    kind: 'marathon',
+    items,
+    createdAt: new Date(),
+  };
+  await insertPlaylist(userId, playlist);
+  return playlist;
+}
+
+/**
+ * Denormalize a random pick into a playlist item
+ * Stored with everything needed to rebuild the playlist meta without refetching
+ */
+function buildPlaylistItem(payload) {
+  const video = payload.video || {};
+  const seriesMeta = payload.seriesMeta.meta;
+  return {
+    episodeId: payload.episodeId,
+    showId: payload.show.id,
+    showName: seriesMeta.name,
+    season: payload.season,
+    episode: payload.episode,
+    title: video.name || video.title || '',
+    overview: video.overview || video.description || '',
+    thumbnail: video.thumbnail || seriesMeta.background || seriesMeta.poster || '',
+    poster: seriesMeta.poster || '',
+    background: seriesMeta.background || '',
+  };
+}
+
+module.exports = {
+  createMarathon,
+  buildPlaylistItem,
+};
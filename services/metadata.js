@@ -0,0 +1,63 @@
+const { fetchMeta } = require('./cinemeta');
+const { fetchTvmazeSeriesMeta } = require('./tvmaze');
+
+/**
+ * Series metadata providers, tried in order
+ *
+ * Each provider has:
+ * - name: for logging
+ * - supports(showId): whether it can look up this kind of ID
+ * - fetchSeriesMeta(showId): Cinemeta-shaped { meta } (videos in the shape
+ *   normalizeEpisode reads) or null
+ */
+const cinemetaProvider = {
+  name: 'cinemeta',
+  supports: (showId) => showId.startsWith('tt'),
+  fetchSeriesMeta: (showId) => fetchMeta('series', showId),
+};
+
+const tvmazeProvider = {
+  name: 'tvmaze',
+  supports: (showId) => showId.startsWith('tt') || showId.startsWith('tvmaze-'),
+  fetchSeriesMeta: fetchTvmazeSeriesMeta,
+};
+
+const PROVIDERS = [cinemetaProvider, tvmazeProvider];
+
+function hasVideos(meta) {
+  return Boolean(meta && meta.meta && meta.meta.videos && meta.meta.videos.length > 0);
+}
+
+/**
+ * Get series metadata with episode list from the first provider that has it
+ * Falls back down the chain when a provider fails or has no episodes; if no
+ * provider has episodes, the first metadata found (if any) is returned.
+ *
+ * @param {string} showId - IMDB ID ("tt...") or TVmaze ID ("tvmaze-...")
+ * @returns {Object|null} { meta }, or null if no provider knows the show
+ * @throws {AppError} EXTERNAL_API if nothing was found and a provider was down
+ */
+async function getSeriesMeta(showId) {
+  if (!showId) return null;
+
+  let fallback = null;
+  let lastError = null;
+  for (const provider of PROVIDERS) {
+    if (!provider.supports(showId)) continue;
+    try {
+      const meta = await provider.fetchSeriesMeta(showId);
+      if (hasVideos(meta)) return meta;
+      if (meta && meta.meta && !fallback) fallback = meta;
+    } catch (e) {
+      console.error(`Metadata provider ${provider.name} failed:`, e.message);
+      lastError = e;
+    }
+  }
+
+  if (!fallback && lastError) throw lastError;
+  return fallback;
+}
+
+module.exports = {
+  getSeriesMeta,
+};
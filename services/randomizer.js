@@ -1,23 +1,80 @@
-const { fetchMeta } = require('./cinemeta');
-const { getShowSettings } = require('./db');
-const { normalizeEpisode } = require('../utils/episode');
+const { DEFAULT_SHOW_WEIGHT, LOOKUP_CONCURRENCY } = require('../config');
+const { getSeriesMeta } = require('./metadata');
+const { createCache } = require('./cache');
+const {
+  fetchTvmazeEpisodeRatings,
+  fetchTvmazeEpisodeRuntimes,
+} = require('./tvmaze');
+const {
+  getShowSettings,
+  getAllShowSettings,
+  updateShuffleBag,
+  getUserSettings,
+  getRecentPicks,
+} = require('./db');
+const { drawFromBag } = require('./shuffleBag');
+const { getEpisodeTextIndex, createKeywordMatcher } = require('./episodeIndex');
+const { normalizeEpisode, parseRuntime } = require('../utils/episode');
+const { mapConcurrent } = require('../utils/concurrency');
+const {
+  shuffle,
+  randomItem,
+  weightedOrder,
+  weightedRandomItem,
+} = require('../utils/random');
+
+// Higher = stronger bias toward well-rated episodes in 'weighted' rating mode
+const RATING_WEIGHT_EXPONENT = 3;
+
+// Eligible episode counts for 'episodes' show selection, so a pick only loads
+// the shows it tries. Keyed by user, show, settings version and unaired filter.
+const eligibleCountCache = createCache('eligible-count', {
+  ttlMs: 6 * 60 * 60 * 1000,
+  maxEntries: 5000,
+  shared: false,
+});
 
 /**
  * Pick a smart random episode from user's shows
  * 
  * Algorithm:
- * 1. Shuffle shows to randomize selection
+ * 1. Order shows randomly, weighted by the user's show selection mode
  * 2. For each show, get available episodes
- * 3. Filter by enabled seasons (per-show settings)
- * 4. Pick a random episode from the filtered list
- * 5. Return first successful pick
+ * 3. Filter out unaired episodes, then by air-date range, enabled seasons
+ *    and excluded episodes (per-show settings)
+ * 4. Skip episodes still in the no-repeat cooldown
+ * 5. Pick a random episode from the filtered list (or draw the next one
+ *    from the show's shuffle bag when it is in shuffle mode)
+ * 6. Return first successful pick
+ *
+ * With a keyword, every show's text index is loaded up front and shows
+ * without a matching episode are left out before ordering.
+ *
+ * If the cooldown excludes every episode of every candidate show, it is
+ * cut to the longest run of recent picks that still leaves an episode, so
+ * the least recently picked episodes are used first.
  * 
  * @param {string} userId - User ID
  * @param {Array} userShows - List of user's shows
  * @param {string|null} targetShowId - If set, only pick from this show
+ * @param {Object} [options]
+ * @param {number} [options.maxRuntime] - Only pick episodes that fit in this
+ *   many minutes
+ * @param {Set<string>} [options.excludeEpisodeIds] - Episodes never to pick
+ *   (e.g. already queued), even when the cooldown is ignored
+ * @param {string} [options.keyword] - Only pick episodes whose title or
+ *   summary matches this keyword or theme (e.g. "christmas")
+ * @param {Object} [options.settingsOverrides] - Install preferences applied
+ *   over the stored user settings
  * @returns {Object|null} Episode data or null if none found
  */
-async function pickSmartRandomEpisode(userId, userShows, targetShowId = null) {
+async function pickSmartRandomEpisode(userId, userShows, targetShowId = null, options = {}) {
+  const {
+    maxRuntime = null,
+    keyword = null,
+    excludeEpisodeIds = new Set(),
+    settingsOverrides = {},
+  } = options;
   if (!userShows || userShows.length === 0) return null;
 
   // Filter to target show if specified
@@ -27,23 +84,195 @@ async function pickSmartRandomEpisode(userId, userShows, targetShowId = null) {
 
   if (showPool.length === 0) return null;
 
-  // Shuffle shows to randomize which show we try first
-  const shuffled = [...showPool].sort(() => Math.random() - 0.5);
+  const userSettings = {
+    ...await getUserSettings(userId),
+    ...settingsOverrides,
+  };
+
+  // Keyword picks index the whole pool up front and only try shows with a match
+  let candidates = showPool;
+  const keywordShows = keyword && createKeywordMatcher(keyword)
+    ? await findKeywordShows(userId, showPool, userSettings, keyword)
+    : null;
+  if (keywordShows) {
+    candidates = showPool.filter((show) => keywordShows.has(show.id));
+    if (candidates.length === 0) return null;
+  }
+
+  // Order shows randomly (weighted) to decide which show we try first
+  const { ordered, eligibleByShow } = await orderShowsForPick(
+    userId,
+    candidates,
+    userSettings,
+  );
+  for (const [showId, eligible] of keywordShows || []) {
+    eligibleByShow.set(showId, eligible);
+  }
+
+  // Try each show in order; eligible lists are kept for later passes
+  const tryShows = async (skipIds) => {
+    for (const show of ordered) {
+      if (!eligibleByShow.has(show.id)) {
+        eligibleByShow.set(show.id, await getEligibleEpisodes(userId, show, userSettings));
+      }
+      const eligible = eligibleByShow.get(show.id);
+      if (!eligible) continue;
+      const result = await pickEpisodeFromShow(userId, show, {
+        excludeEpisodeIds: skipIds,
+        eligible,
+        userSettings,
+        maxRuntime,
+        keyword,
+      });
+      if (result) return result;
+    }
+    return null;
+  };
+
+  const recentIds = [...await getCooldownEpisodeIds(userId, userSettings, targetShowId)];
+  const result = await tryShows(new Set([...recentIds, ...excludeEpisodeIds]));
+  if (result) return result;
 
-  for (const show of shuffled) {
-    const result = await pickEpisodeFromShow(userId, show);
-    if (result) return result;
+  // Everything is cooling down - binary search for the longest run of recent
+  // picks that still leaves something, so the least recently picked episodes
+  // come back first (skipping the last `high` picks is known to leave nothing)
+  let best = null;
+  let low = 0;
+  let high = recentIds.length;
+  while (low < high) {
+    const length = Math.floor((low + high) / 2);
+    const attempt = await tryShows(new Set([...recentIds.slice(0, length), ...excludeEpisodeIds]));
+    if (attempt) {
+      best = attempt;
+      low = length + 1;
+    } else {
+      high = length;
+    }
   }
+  return best;
+}
 
-  return null;
+/**
+ * Find the shows with an episode matching a keyword or theme
+ * Every show's eligible episodes and text index are loaded at once, a few
+ * shows at a time, rather than one show per attempt
+ *
+ * @returns {Promise<Map>} showId -> getEligibleEpisodes result, for matching shows
+ */
+async function findKeywordShows(userId, shows, userSettings, keyword) {
+  const found = new Map();
+  await mapConcurrent(shows, LOOKUP_CONCURRENCY, async (show) => {
+    const eligible = await getEligibleEpisodes(userId, show, userSettings);
+    if (!eligible) return;
+    const matching = await filterByKeyword(show, eligible.meta, eligible.episodes, keyword);
+    if (matching.length > 0) found.set(show.id, eligible);
+  });
+  return found;
 }
 
 /**
- * Pick a random episode from a specific show, respecting settings
+ * Order candidate shows for "Random All Shows"
+ *
+ * Modes:
+ * - 'uniform': every show equally likely to come first
+ * - 'episodes': proportional to the show's eligible episode count (counts
+ *   are cached, so only uncached shows are loaded)
+ * - 'custom': proportional to the per-show `weight` setting (0 = never)
+ *
+ * @returns {{ ordered: Array, eligibleByShow: Map }} Shows in try-order, plus
+ *   any eligible episode lists loaded along the way (reused by the picker)
+ */
+async function orderShowsForPick(userId, shows, userSettings) {
+  const mode = userSettings.showSelectionMode || 'uniform';
+  const eligibleByShow = new Map();
+
+  if (shows.length <= 1 || mode === 'uniform') {
+    return { ordered: shuffle(shows), eligibleByShow };
+  }
+
+  if (mode === 'episodes') {
+    const allSettings = await getAllShowSettings(userId);
+    const versions = new Map(allSettings.map((settings) => [
+      settings.showId,
+      new Date(settings.updatedAt || 0).getTime(),
+    ]));
+    const unaired = userSettings.excludeUnaired ? 'aired' : 'all';
+    const counts = new Map();
+    await Promise.all(shows.map(async (show) => {
+      const key = `${userId}:${show.id}:${versions.get(show.id) || 0}:${unaired}`;
+      // Shows with nothing eligible (or no metadata right now) aren't cached
+      const count = await eligibleCountCache.wrap(key, async () => {
+        const eligible = await getEligibleEpisodes(userId, show, userSettings);
+        if (!eligible) return undefined;
+        eligibleByShow.set(show.id, eligible);
+        return eligible.episodes.length;
+      });
+      counts.set(show.id, count || 0);
+    }));
+    const ordered = weightedOrder(shows, (show) => counts.get(show.id));
+    return { ordered, eligibleByShow };
+  }
+
+  if (mode === 'custom') {
+    const allSettings = await getAllShowSettings(userId);
+    const weights = new Map(
+      allSettings.map((settings) => [settings.showId, settings.weight]),
+    );
+    const ordered = weightedOrder(shows, (show) => {
+      const weight = weights.get(show.id);
+      return weight === undefined || weight === null ? DEFAULT_SHOW_WEIGHT : weight;
+    });
+    // Every show weighted 0 - treat as uniform rather than picking nothing
+    return { ordered: ordered.length > 0 ? ordered : shuffle(shows), eligibleByShow };
+  }
+
+  return { ordered: shuffle(shows), eligibleByShow };
+}
+
+/**
+ * Get the episode IDs excluded by the user's no-repeat cooldown, most
+ * recently picked first
+ * Scoped to one show for show picks, or the whole history for "Random All"
+ */
+async function getCooldownEpisodeIds(userId, userSettings, targetShowId = null) {
+  if (!userId) return new Set();
+  const { cooldownMode, cooldownValue } = userSettings;
+  const value = Number(cooldownValue);
+  if (!Number.isFinite(value) || value <= 0) return new Set();
+
+  let picks = [];
+  if (cooldownMode === 'picks') {
+    picks = await getRecentPicks(userId, { showId: targetShowId, limit: value });
+  } else if (cooldownMode === 'days') {
+    const since = new Date(Date.now() - value * 24 * 60 * 60 * 1000);
+    picks = await getRecentPicks(userId, { showId: targetShowId, since });
+  }
+
+  return new Set(picks.map((pick) => pick.episodeId));
+}
+
+/**
+ * Load a show's metadata and settings, and filter its episodes down to the
+ * ones eligible for random selection
+ *
+ * @param {Object|null} userSettings - User settings, loaded if not given
+ * @returns {{ meta: Object, settings: Object|null, episodes: Array }|null}
+ *   Null if the show has no eligible episodes or its metadata is unavailable
  */
-async function pickEpisodeFromShow(userId, show) {
-  // Fetch show metadata
-  const meta = await fetchMeta('series', show.id);
+async function getEligibleEpisodes(userId, show, userSettings = null) {
+  if (!userSettings) {
+    userSettings = await getUserSettings(userId);
+  }
+
+  // Fetch show metadata; a show whose providers are down is skipped so the
+  // picker can fall through to the next one
+  let meta;
+  try {
+    meta = await getSeriesMeta(show.id);
+  } catch (e) {
+    console.error(`Skipping ${show.id}, metadata unavailable:`, e.message);
+    return null;
+  }
   if (!meta || !meta.meta || !meta.meta.videos || meta.meta.videos.length === 0) {
     return null;
   }
@@ -58,8 +287,10 @@ async function pickEpisodeFromShow(userId, show) {
   );
 
   // Filter to streamable episodes (season > 0, episode > 0)
+  // Specials (season 0) only count when the show opts in
+  const minSeason = settings?.includeSpecials ? 0 : 1;
   let streamable = normalizedVideos.filter(
-    (item) => item.season > 0 && item.episode > 0,
+    (item) => item.season >= minSeason && item.episode > 0,
   );
 
   // If no streamable episodes, use all normalized videos
@@ -67,6 +298,32 @@ async function pickEpisodeFromShow(userId, show) {
     streamable = normalizedVideos;
   }
 
+  // Drop announced episodes that haven't aired yet (no streams exist)
+  if (userSettings.excludeUnaired) {
+    const now = Date.now();
+    streamable = streamable.filter(
+      (item) => !item.released || item.released.getTime() <= now,
+    );
+    if (streamable.length === 0) return null;
+  }
+
+  // Filter by air-date range (years, inclusive) if configured
+  const airYearFrom = settings?.airYearFrom ?? null;
+  const airYearTo = settings?.airYearTo ?? null;
+  if (airYearFrom !== null || airYearTo !== null) {
+    const inRange = streamable.filter((item) => {
+      if (!item.released) return false;
+      const year = item.released.getUTCFullYear();
+      if (airYearFrom !== null && year < airYearFrom) return false;
+      if (airYearTo !== null && year > airYearTo) return false;
+      return true;
+    });
+    // If the range matches nothing, ignore it
+    if (inRange.length > 0) {
+      streamable = inRange;
+    }
+  }
+
   // Filter by enabled seasons if configured
   let filteredEpisodes = streamable;
   if (enabledSeasons.length > 0) {
@@ -79,8 +336,111 @@ async function pickEpisodeFromShow(userId, show) {
     }
   }
 
-  const picked =
-    filteredEpisodes[Math.floor(Math.random() * filteredEpisodes.length)];
+  // Drop individually excluded episodes (clip shows, specials, ...)
+  const excludedEpisodes = new Set(settings?.excludedEpisodes || []);
+  if (excludedEpisodes.size > 0) {
+    const included = filteredEpisodes.filter(
+      (item) => !excludedEpisodes.has(item.id),
+    );
+    // If exclusions remove all episodes, keep the season-filtered list
+    if (included.length > 0) {
+      filteredEpisodes = included;
+    }
+  }
+
+  // Attach TVmaze ratings if the show uses rating-aware picks
+  const ratingMode = settings?.ratingMode || 'off';
+  if (ratingMode !== 'off') {
+    const ratings = await fetchTvmazeEpisodeRatings(show.id);
+    filteredEpisodes = filteredEpisodes.map((item) => ({
+      ...item,
+      rating: ratings.get(`${item.season}:${item.episode}`) ?? null,
+    }));
+
+    // Drop episodes rated below the minimum (unrated episodes are kept)
+    if (ratingMode === 'min') {
+      const minRating = Number(settings.minRating) || 0;
+      const rated = filteredEpisodes.filter(
+        (item) => item.rating === null || item.rating >= minRating,
+      );
+      // If filtering removes all episodes, keep the unfiltered list
+      if (rated.length > 0) {
+        filteredEpisodes = rated;
+      }
+    }
+  }
+
+  return { meta, settings, episodes: filteredEpisodes };
+}
+
+/**
+ * Pick a random episode from a specific show, respecting settings
+ *
+ * Shows in "shuffle" pick mode draw the next episode from their persisted
+ * shuffle bag instead of picking uniformly at random.
+ *
+ * @param {Object} options
+ * @param {Set<string>} [options.excludeEpisodeIds] - Episodes to skip (cooldown,
+ *   already queued).
+ *   Returns null if they exclude every remaining episode. In shuffle mode they
+ *   are only used to order a freshly reshuffled bag.
+ * @param {Object} [options.eligible] - Result of getEligibleEpisodes, if
+ *   already loaded
+ * @param {Object} [options.userSettings] - User settings, if already loaded
+ * @param {number} [options.maxRuntime] - Only pick episodes that fit in this
+ *   many minutes. Returns null if none do; shuffle mode is bypassed so the
+ *   bag isn't disturbed by a one-off budget.
+ * @param {string} [options.keyword] - Only pick episodes matching this
+ *   keyword or theme. Returns null if none do; bypasses shuffle mode too.
+ */
+async function pickEpisodeFromShow(userId, show, options = {}) {
+  const { excludeEpisodeIds, maxRuntime, keyword } = options;
+
+  const eligible =
+    options.eligible || await getEligibleEpisodes(userId, show, options.userSettings);
+  if (!eligible) return null;
+
+  const { meta, settings } = eligible;
+  let filteredEpisodes = eligible.episodes;
+
+  // Keep only episodes that fit the time budget
+  if (maxRuntime) {
+    filteredEpisodes = await filterByRuntime(show, meta, filteredEpisodes, maxRuntime);
+    if (filteredEpisodes.length === 0) return null;
+  }
+
+  // Keep only episodes whose text matches the keyword or theme
+  if (keyword) {
+    filteredEpisodes = await filterByKeyword(show, meta, filteredEpisodes, keyword);
+    if (filteredEpisodes.length === 0) return null;
+  }
+
+  let picked;
+  if (settings?.pickMode === 'shuffle' && !maxRuntime && !keyword) {
+    // Shuffle bag: every eligible episode once before any repeats
+    const eligibleIds = [...new Set(filteredEpisodes.map((item) => item.id))];
+    const { episodeId, bag } = drawFromBag(
+      settings.shuffleBag,
+      eligibleIds,
+      excludeEpisodeIds,
+    );
+    await updateShuffleBag(userId, show.id, bag);
+    picked = filteredEpisodes.find((item) => item.id === episodeId);
+  } else {
+    // Skip episodes still in the no-repeat cooldown
+    if (excludeEpisodeIds && excludeEpisodeIds.size > 0) {
+      filteredEpisodes = filteredEpisodes.filter(
+        (item) => !excludeEpisodeIds.has(item.id),
+      );
+      if (filteredEpisodes.length === 0) return null;
+    }
+
+    picked = settings?.ratingMode === 'weighted'
+      ? pickRatingWeighted(filteredEpisodes)
+      : randomItem(filteredEpisodes);
+  }
+
+  if (!picked) return null;
 
   return {
     seriesMeta: meta,
@@ -88,15 +448,61 @@ async function pickEpisodeFromShow(userId, show) {
     season: picked.season,
     episode: picked.episode,
     video: picked.video,
+    runtime: picked.runtime ?? null,
+    continueInOrder: Boolean(settings?.continueInOrder),
     show,
   };
 }
 
+/**
+ * Keep episodes whose runtime fits within `maxRuntime` minutes
+ * Uses the TVmaze per-episode runtime, falling back to the series runtime;
+ * episodes with no known runtime are dropped
+ */
+async function filterByRuntime(show, meta, episodes, maxRuntime) {
+  const runtimes = await fetchTvmazeEpisodeRuntimes(show.id);
+  const seriesRuntime = parseRuntime(meta.meta.runtime);
+
+  return episodes
+    .map((item) => ({
+      ...item,
+      runtime: runtimes.get(`${item.season}:${item.episode}`) ?? seriesRuntime,
+    }))
+    .filter((item) => item.runtime !== null && item.runtime <= maxRuntime);
+}
+
+/**
+ * Keep episodes whose title or summary matches a keyword or theme
+ * Uses the episode text index (Cinemeta videos plus TVmaze summaries)
+ */
+async function filterByKeyword(show, meta, episodes, keyword) {
+  const matches = createKeywordMatcher(keyword);
+  if (!matches) return episodes;
+
+  const index = await getEpisodeTextIndex(show.id, meta);
+  return episodes.filter((item) => matches(index.get(`${item.season}:${item.episode}`) || ''));
+}
+
+/**
+ * Pick an episode biased toward higher TVmaze ratings
+ * Unrated episodes are weighted as if they had the show's average rating
+ */
+function pickRatingWeighted(episodes) {
+  const rated = episodes.filter((item) => item.rating !== null && item.rating !== undefined);
+  if (rated.length === 0) return randomItem(episodes);
+
+  const average = rated.reduce((sum, item) => sum + item.rating, 0) / rated.length;
+  return weightedRandomItem(episodes, (item) =>
+    Math.pow(item.rating ?? average, RATING_WEIGHT_EXPONENT),
+  );
+}
+
 /**
  * Get available seasons for filtering UI
+ * Season 0 (specials) is included when the show has any
  */
 async function getAvailableSeasons(showId) {
-  const meta = await fetchMeta('series', showId);
+  const meta = await getSeriesMeta(showId);
   if (!meta || !meta.meta || !meta.meta.videos) {
     return [];
   }
@@ -104,7 +510,7 @@ async function getAvailableSeasons(showId) {
   const seasons = new Set();
   for (const video of meta.meta.videos) {
     const season = Number(video.season);
-    if (Number.isFinite(season) && season > 0) {
+    if (Number.isFinite(season) && season >= 0) {
       seasons.add(season);
     }
   }
@@ -113,10 +519,10 @@ async function getAvailableSeasons(showId) {
 }
 
 /**
- * Get episode count per season for a show
+ * Get episode count per season for a show (season 0 = specials)
  */
 async function getSeasonEpisodeCounts(showId) {
-  const meta = await fetchMeta('series', showId);
+  const meta = await getSeriesMeta(showId);
   if (!meta || !meta.meta || !meta.meta.videos) {
     return {};
   }
@@ -124,7 +530,7 @@ async function getSeasonEpisodeCounts(showId) {
   const counts = {};
   for (const video of meta.meta.videos) {
     const season = Number(video.season);
-    if (Number.isFinite(season) && season > 0) {
+    if (Number.isFinite(season) && season >= 0) {
       counts[season] = (counts[season] || 0) + 1;
     }
   }
@@ -132,9 +538,35 @@ async function getSeasonEpisodeCounts(showId) {
   return counts;
 }
 
+/**
+ * Get the episodes of one season for the episode browser UI
+ */
+async function getSeasonEpisodes(showId, season) {
+  const meta = await getSeriesMeta(showId);
+  if (!meta || !meta.meta || !meta.meta.videos) {
+    return [];
+  }
+
+  return meta.meta.videos
+    .map((video) => normalizeEpisode(meta, video))
+    .filter((item) => item.season === season && item.episode > 0)
+    .sort((a, b) => a.episode - b.episode)
+    .map((item) => ({
+      id: item.id,
+      episode: item.episode,
+      title: item.video.name || item.video.title || `Episode ${item.episode}`,
+      released: item.released ? item.released.toISOString() : '',
+      upcoming: Boolean(item.released && item.released.getTime() > Date.now()),
+    }));
+}
+
 module.exports = {
   pickSmartRandomEpisode,
   pickEpisodeFromShow,
+  getEligibleEpisodes,
+  orderShowsForPick,
+  getCooldownEpisodeIds,
   getAvailableSeasons,
   getSeasonEpisodeCounts,
+  getSeasonEpisodes,
 };
@@ -0,0 +1,93 @@
+const {
+  LOOKUP_CONCURRENCY,
+  REFRESH_INTERVAL_MS,
+  REFRESH_STALE_AFTER_MS,
+  REFRESH_BATCH_SIZE,
+} = require('../config');
+const {
+  getStaleShowIds,
+  updateShowMetadata,
+  markShowMissing,
+  markShowRefreshFailed,
+} = require('./db');
+const { getSeriesMeta } = require('./metadata');
+const { mapConcurrent } = require('../utils/concurrency');
+
+let refreshRunning = false;
+
+/**
+ * Re-pull metadata for the least recently refreshed shows and update the
+ * copies stored in `shows` (name, poster, background, genres)
+ *
+ * Shows saved before genres were stored are refreshed first, which
+ * backfills their genres. Shows no provider knows anymore are flagged as
+ * missing. Shows whose lookup failed because a provider was down are
+ * stamped like refreshed ones, so they're retried once stale again rather
+ * than holding the head of the queue.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max distinct shows to refresh this run
+ * @param {number} [options.staleAfterMs] - Only shows refreshed longer ago
+ * @returns {Promise<Object>} { checked, updated, missing, failed }
+ */
+async function refreshStaleShows({
+  limit = REFRESH_BATCH_SIZE,
+  staleAfterMs = REFRESH_STALE_AFTER_MS,
+} = {}) {
+  const summary = { checked: 0, updated: 0, missing: 0, failed: 0 };
+  if (refreshRunning) return { ...summary, skipped: true };
+  refreshRunning = true;
+
+  try {
+    const showIds = await getStaleShowIds(new Date(Date.now() - staleAfterMs), limit);
+    await mapConcurrent(showIds, LOOKUP_CONCURRENCY, async (showId) => {
+      summary.checked += 1;
+      try {
+        const meta = await getSeriesMeta(showId);
+        if (meta && meta.meta) {
+          await updateShowMetadata(showId, {
+            name: meta.meta.name,
+            poster: meta.meta.poster,
+            background: meta.meta.background,
+            genres: meta.meta.genres,
+          });
+          summary.updated += 1;
+        } else {
+          await markShowMissing(showId);
+          summary.missing += 1;
+        }
+      } catch (e) {
+        console.error(`Refresh failed for ${showId}:`, e.message);
+        summary.failed += 1;
+        await markShowRefreshFailed(showId).catch((stampError) => {
+          console.error(`Failed to stamp ${showId}:`, stampError.message);
+        });
+      }
+    });
+  } finally {
+    refreshRunning = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Run the refresh now and then on an interval (long-running servers only;
+ * serverless deployments call the cron endpoint instead)
+ */
+function startRefreshSchedule(intervalMs = REFRESH_INTERVAL_MS) {
+  const run = () => {
+    refreshStaleShows()
+      .then((summary) => console.log('Show metadata refresh:', summary))
+      .catch((e) => console.error('Show metadata refresh failed:', e.message));
+  };
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  refreshStaleShows,
+  startRefreshSchedule,
+};
@@ -0,0 +1,72 @@
+const { createCache } = require('./cache');
+const { searchSeries } = require('./cinemeta');
+const { searchShows, fetchTvmazeEpisodeCount } = require('./tvmaze');
+
+// Merged results per query, so paging doesn't re-run both searches
+const searchCache = createCache('show-search', {
+  ttlMs: 10 * 60 * 1000,
+  maxEntries: 100,
+  shared: false,
+});
+
+/**
+ * Search TVmaze and Cinemeta together
+ *
+ * TVmaze results come first (best match order, richer details), followed by
+ * Cinemeta-only results. Shows found by both are merged by IMDb ID, with
+ * Cinemeta filling in missing fields. If one source is down the other's
+ * results are used; if both are, the error is thrown.
+ *
+ * @returns {Promise<Array>} { id, imdbId, tvmazeId, name, poster, year, network, status }
+ */
+function searchAllShows(query) {
+  const key = query.trim().toLowerCase();
+  return searchCache.wrap(key, async () => {
+    const [tvmaze, cinemeta] = await Promise.allSettled([
+      searchShows(query),
+      searchSeries(query),
+    ]);
+    if (tvmaze.status === 'rejected' && cinemeta.status === 'rejected') {
+      throw tvmaze.reason;
+    }
+
+    const merged = new Map();
+    const results = [
+      ...(tvmaze.status === 'fulfilled' ? tvmaze.value : []),
+      ...(cinemeta.status === 'fulfilled' ? cinemeta.value : []),
+    ];
+    for (const result of results) {
+      const existing = merged.get(result.id);
+      if (!existing) {
+        merged.set(result.id, result);
+        continue;
+      }
+      for (const [field, value] of Object.entries(result)) {
+        if (existing[field] === null || existing[field] === undefined) {
+          existing[field] = value;
+        }
+      }
+    }
+    return [...merged.values()];
+  });
+}
+
+/**
+ * Add episode counts to a page of results (null when unknown)
+ * Only TVmaze results have one; counts are cached per show
+ */
+function withEpisodeCounts(results) {
+  return Promise.all(results.map(async (result) => {
+    if (!result.tvmazeId) return { ...result, episodeCount: null };
+    try {
+      return { ...result, episodeCount: await fetchTvmazeEpisodeCount(result.tvmazeId) };
+    } catch (e) {
+      return { ...result, episodeCount: null };
+    }
+  }));
+}
+
+module.exports = {
+  searchAllShows,
+  withEpisodeCounts,
+};
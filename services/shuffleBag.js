@@ -0,0 +1,73 @@
+const { shuffle } = require('../utils/random');
+
+/**
+ * Shuffle-bag selection
+ *
+ * A bag is a persisted random permutation of a show's eligible episodes:
+ *   { remaining: [episodeId, ...], dealt: [episodeId, ...] }
+ * Episodes are handed out from the front of `remaining` until it is empty,
+ * then every eligible episode is reshuffled into a new bag.
+ */
+
+/**
+ * Bring a stored bag in line with the current list of eligible episodes
+ * - Episodes no longer eligible (removed upstream, season disabled) are dropped
+ * - New episodes are slotted into the undealt part at random positions
+ */
+function reconcileBag(bag, eligibleIds) {
+  const eligible = new Set(eligibleIds);
+  const remaining = ((bag && bag.remaining) || []).filter((id) => eligible.has(id));
+  const dealt = ((bag && bag.dealt) || []).filter((id) => eligible.has(id));
+
+  const known = new Set([...remaining, ...dealt]);
+  for (const id of eligibleIds) {
+    if (known.has(id)) continue;
+    const position = Math.floor(Math.random() * (remaining.length + 1));
+    remaining.splice(position, 0, id);
+    known.add(id);
+  }
+
+  return { remaining, dealt };
+}
+
+/**
+ * Build a fresh bag from all eligible episodes
+ * Episodes in `deferIds` (e.g. recently picked) go to the back so a
+ * reshuffle doesn't immediately repeat the end of the previous bag
+ */
+function buildBag(eligibleIds, deferIds = new Set()) {
+  const fresh = shuffle(eligibleIds.filter((id) => !deferIds.has(id)));
+  const deferred = shuffle(eligibleIds.filter((id) => deferIds.has(id)));
+  return { remaining: [...fresh, ...deferred], dealt: [] };
+}
+
+/**
+ * Take the next episode out of the bag
+ *
+ * @param {Object|null} bag - Stored bag (may be null or stale)
+ * @param {Array<string>} eligibleIds - Currently eligible episode IDs
+ * @param {Set<string>} [deferIds] - Episodes to push back when reshuffling
+ * @returns {{ episodeId: string|null, bag: Object }}
+ */
+function drawFromBag(bag, eligibleIds, deferIds) {
+  if (!eligibleIds || eligibleIds.length === 0) {
+    return { episodeId: null, bag: { remaining: [], dealt: [] } };
+  }
+
+  let current = reconcileBag(bag, eligibleIds);
+  if (current.remaining.length === 0) {
+    current = buildBag(eligibleIds, deferIds);
+  }
+
+  const [episodeId, ...rest] = current.remaining;
+  return {
+    episodeId,
+    bag: { remaining: rest, dealt: [...current.dealt, episodeId] },
+  };
+}
+
+module.exports = {
+  reconcileBag,
+  buildBag,
+  drawFromBag,
+};
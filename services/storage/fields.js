@@ -0,0 +1,33 @@
+/**
+ * Document fields shared by the storage backends
+ */
+
+// User-editable fields on a showSettings document
+const SHOW_SETTING_FIELDS = [
+  'enabledSeasons',
+  'pickMode',
+  'weight',
+  'ratingMode',
+  'minRating',
+  'excludedEpisodes',
+  'airYearFrom',
+  'airYearTo',
+  'includeSpecials',
+  'continueInOrder',
+];
+
+/**
+ * Copy the listed keys that are set in `source`
+ */
+function pickFields(source, keys) {
+  const fields = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) fields[key] = source[key];
+  }
+  return fields;
+}
+
+module.exports = {
+  SHOW_SETTING_FIELDS,
+  pickFields,
+};
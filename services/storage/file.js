@@ -0,0 +1,561 @@
+const fs = require('fs/promises');
+const { mkdirSync, writeFileSync, renameSync } = require('fs');
+const path = require('path');
+const {
+  DATA_FILE,
+  DEFAULT_USER_SETTINGS,
+  PLAYLIST_TTL_MS,
+  MAX_PLAYLISTS_PER_USER,
+  PICK_HISTORY_MAX_AGE_MS,
+  PICK_HISTORY_MAX_PER_SHOW,
+} = require('../../config');
+const { ErrorTypes } = require('../../middleware/errorHandler');
+const { SHOW_SETTING_FIELDS, pickFields } = require('./fields');
+
+/**
+ * File storage backend for self-hosting (no database server needed)
+ * Implements the storage interface documented in services/db.js
+ *
+ * Every collection is kept in memory and written to one JSON file
+ * (DATA_FILE). A change is written right away unless a write is running;
+ * changes made meanwhile share the next write, and anything unwritten is
+ * flushed when the process exits. Writes go
+ * to a temp file that is renamed over the old one, so a crash never leaves a
+ * half-written file. Meant for a single server process; don't point several
+ * instances at one file.
+ */
+
+const COLLECTIONS = ['shows', 'lists', 'showSettings', 'userSettings', 'pickHistory', 'playlists'];
+
+// Fields stored as ISO strings in the file and restored to Dates on load
+const DATE_FIELDS = new Set(['createdAt', 'updatedAt', 'pickedAt', 'metaRefreshedAt']);
+
+let data = null;
+let loading = null;
+let writing = Promise.resolve();
+let nextWrite = null;
+// Changes made so far, and how many of them are on disk
+let changeCount = 0;
+let writtenCount = 0;
+
+function reviveDates(key, value) {
+  return DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value;
+}
+
+async function readDataFile() {
+  let stored = {};
+  try {
+    stored = JSON.parse(await fs.readFile(DATA_FILE, 'utf8'), reviveDates);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const collections = {};
+  for (const name of COLLECTIONS) {
+    collections[name] = Array.isArray(stored[name]) ? stored[name] : [];
+  }
+  return collections;
+}
+
+/**
+ * Get a collection's documents, loading the data file on first use
+ */
+async function getCollection(name) {
+  if (!data) {
+    if (!loading) {
+      loading = readDataFile().catch((e) => {
+        loading = null;
+        throw e;
+      });
+    }
+    data = await loading;
+  }
+  return data[name];
+}
+
+const TEMP_FILE = `${DATA_FILE}.${process.pid}.tmp`;
+
+async function writeDataFile() {
+  const count = changeCount;
+  const json = JSON.stringify(data);
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  await fs.writeFile(TEMP_FILE, json);
+  await fs.rename(TEMP_FILE, DATA_FILE);
+  writtenCount = Math.max(writtenCount, count);
+}
+
+/**
+ * Write the current data once any running write is done; changes made
+ * before the write starts share it
+ * @returns {Promise} Resolves once the changes are on disk
+ */
+function save() {
+  changeCount += 1;
+  if (!nextWrite) {
+    nextWrite = writing.catch(() => {}).then(() => {
+      nextWrite = null;
+      return writeDataFile();
+    });
+    writing = nextWrite;
+    writing.catch((e) => console.error('Failed to write data file:', e));
+  }
+  return nextWrite;
+}
+
+/**
+ * Save without waiting for the write, for data that's fine to lose on a
+ * failed write (picks, playlists, shuffle bags)
+ */
+function saveInBackground() {
+  save().catch(() => {});
+}
+
+// Don't lose changes still waiting for their write on shutdown
+function flushOnExit() {
+  if (writtenCount === changeCount || !data) return;
+  mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  writeFileSync(TEMP_FILE, JSON.stringify(data));
+  renameSync(TEMP_FILE, DATA_FILE);
+  writtenCount = changeCount;
+}
+process.on('exit', flushOnExit);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    flushOnExit();
+    process.kill(process.pid, signal);
+  });
+}
+
+/**
+ * Remove the documents matching `predicate` from a collection
+ */
+async function removeWhere(name, predicate) {
+  const docs = await getCollection(name);
+  const kept = docs.filter((doc) => !predicate(doc));
+  if (kept.length === docs.length) return;
+  data[name] = kept;
+  await save();
+}
+
+function newestFirst(field) {
+  return (a, b) => b[field] - a[field];
+}
+
+/**
+ * Check the data file can be read
+ */
+async function ping() {
+  await getCollection('shows');
+}
+
+// ===================
+// SHOWS OPERATIONS
+// ===================
+
+async function getUserShows(userId) {
+  if (!userId) return [];
+  const shows = await getCollection('shows');
+  return shows
+    .filter((row) => row.userId === userId)
+    .sort(newestFirst('createdAt'))
+    .map((row) => ({
+      id: row.showId,
+      name: row.name,
+      poster: row.poster,
+      background: row.background,
+      genres: row.genres || [],
+      missing: Boolean(row.metaMissing),
+    }));
+}
+
+async function getShowCount(userId) {
+  if (!userId) return 0;
+  const shows = await getCollection('shows');
+  return shows.filter((row) => row.userId === userId).length;
+}
+
+async function hasShow(userId, showId) {
+  if (!userId) return false;
+  const shows = await getCollection('shows');
+  return shows.some((row) => row.userId === userId && row.showId === showId);
+}
+
+async function insertShow(userId, show) {
+  if (!userId) return;
+  const shows = await getCollection('shows');
+  if (shows.some((row) => row.userId === userId && row.showId === show.id)) {
+    throw ErrorTypes.CONFLICT('Show already added');
+  }
+  shows.push({
+    userId,
+    showId: show.id,
+    name: show.name,
+    poster: show.poster,
+    background: show.background,
+    genres: show.genres || [],
+    createdAt: new Date(),
+  });
+  await save();
+}
+
+async function getStaleShowIds(before, limit) {
+  const shows = await getCollection('shows');
+  // showId -> oldest refresh time (null if some copy was never refreshed)
+  const oldest = new Map();
+  // Shows with a copy saved before genres were stored, backfilled first
+  const missingGenres = new Set();
+  for (const row of shows) {
+    if (row.metaRefreshedAt && row.metaRefreshedAt >= before) continue;
+    const refreshedAt = row.metaRefreshedAt || null;
+    if (!Array.isArray(row.genres)) missingGenres.add(row.showId);
+    if (!oldest.has(row.showId)) {
+      oldest.set(row.showId, refreshedAt);
+    } else if (oldest.get(row.showId) && (!refreshedAt || refreshedAt < oldest.get(row.showId))) {
+      oldest.set(row.showId, refreshedAt);
+    }
+  }
+  const refreshedTime = (showId) => (oldest.get(showId) ? oldest.get(showId).getTime() : 0);
+  return [...oldest.keys()]
+    .sort((a, b) => missingGenres.has(b) - missingGenres.has(a) || refreshedTime(a) - refreshedTime(b))
+    .slice(0, limit);
+}
+
+async function updateShowMetadata(showId, fields) {
+  const shows = await getCollection('shows');
+  const now = new Date();
+  for (const row of shows) {
+    if (row.showId !== showId) continue;
+    Object.assign(row, {
+      name: fields.name,
+      poster: fields.poster,
+      background: fields.background,
+      genres: fields.genres || [],
+      metaMissing: false,
+      metaRefreshedAt: now,
+    });
+  }
+  await save();
+}
+
+async function markShowMissing(showId) {
+  const shows = await getCollection('shows');
+  const now = new Date();
+  for (const row of shows) {
+    if (row.showId !== showId) continue;
+    Object.assign(row, { metaMissing: true, metaRefreshedAt: now });
+  }
+  await save();
+}
+
+async function markShowRefreshFailed(showId) {
+  const shows = await getCollection('shows');
+  const now = new Date();
+  for (const row of shows) {
+    if (row.showId === showId) row.metaRefreshedAt = now;
+  }
+  await save();
+}
+
+async function deleteShow(userId, showId) {
+  if (!userId) return;
+  await removeWhere('shows', (row) => row.userId === userId && row.showId === showId);
+}
+
+// ===================
+// LIST OPERATIONS
+// ===================
+
+function toList(doc) {
+  return { listId: doc.listId, name: doc.name, showIds: [...(doc.showIds || [])] };
+}
+
+async function findList(userId, listId) {
+  const lists = await getCollection('lists');
+  return lists.find((doc) => doc.userId === userId && doc.listId === listId) || null;
+}
+
+async function getUserLists(userId) {
+  if (!userId) return [];
+  const lists = await getCollection('lists');
+  return lists
+    .filter((doc) => doc.userId === userId)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(toList);
+}
+
+async function getList(userId, listId) {
+  if (!userId || !listId) return null;
+  const list = await findList(userId, listId);
+  return list ? toList(list) : null;
+}
+
+async function getListCount(userId) {
+  if (!userId) return 0;
+  const lists = await getCollection('lists');
+  return lists.filter((doc) => doc.userId === userId).length;
+}
+
+async function insertList(userId, list) {
+  if (!userId) return;
+  const lists = await getCollection('lists');
+  lists.push({
+    userId,
+    listId: list.listId,
+    name: list.name,
+    showIds: list.showIds || [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+  await save();
+}
+
+async function renameList(userId, listId, name) {
+  if (!userId || !listId) return;
+  const list = await findList(userId, listId);
+  if (!list) return;
+  Object.assign(list, { name, updatedAt: new Date() });
+  await save();
+}
+
+async function deleteList(userId, listId) {
+  if (!userId || !listId) return;
+  await removeWhere('lists', (doc) => doc.userId === userId && doc.listId === listId);
+}
+
+async function addShowToList(userId, listId, showId) {
+  if (!userId || !listId || !showId) return;
+  const list = await findList(userId, listId);
+  if (!list) return;
+  if (!list.showIds.includes(showId)) list.showIds.push(showId);
+  list.updatedAt = new Date();
+  await save();
+}
+
+async function removeShowFromList(userId, listId, showId) {
+  if (!userId || !showId) return;
+  const lists = await getCollection('lists');
+  for (const doc of lists) {
+    if (doc.userId !== userId || (listId && doc.listId !== listId)) continue;
+    if (!doc.showIds.includes(showId)) continue;
+    doc.showIds = doc.showIds.filter((id) => id !== showId);
+    doc.updatedAt = new Date();
+  }
+  await save();
+}
+
+// ===================
+// SHOW SETTINGS OPERATIONS
+// ===================
+
+/**
+ * Find a user's document in a collection, creating it if `create` is set
+ */
+async function findUserDoc(name, userId, showId, create = false) {
+  const docs = await getCollection(name);
+  let doc = docs.find((row) => row.userId === userId && (!showId || row.showId === showId));
+  if (!doc && create) {
+    doc = showId ? { userId, showId, createdAt: new Date() } : { userId, createdAt: new Date() };
+    docs.push(doc);
+  }
+  return doc || null;
+}
+
+async function getShowSettings(userId, showId) {
+  if (!userId || !showId) return null;
+  const doc = await findUserDoc('showSettings', userId, showId);
+  return doc ? structuredClone(doc) : null;
+}
+
+async function updateShowSettings(userId, showId, settings) {
+  if (!userId || !showId) return;
+  const doc = await findUserDoc('showSettings', userId, showId, true);
+  Object.assign(doc, pickFields(settings, SHOW_SETTING_FIELDS), { updatedAt: new Date() });
+  await save();
+}
+
+async function updateShuffleBag(userId, showId, bag) {
+  if (!userId || !showId) return;
+  const doc = await findUserDoc('showSettings', userId, showId, true);
+  doc.shuffleBag = { ...bag, updatedAt: new Date() };
+  saveInBackground();
+}
+
+async function deleteShowSettings(userId, showId) {
+  if (!userId || !showId) return;
+  await removeWhere('showSettings', (doc) => doc.userId === userId && doc.showId === showId);
+}
+
+async function getAllShowSettings(userId) {
+  if (!userId) return [];
+  const docs = await getCollection('showSettings');
+  return structuredClone(docs.filter((doc) => doc.userId === userId));
+}
+
+// ===================
+// USER SETTINGS OPERATIONS
+// ===================
+
+async function getUserSettings(userId) {
+  if (!userId) return { ...DEFAULT_USER_SETTINGS };
+  const doc = await findUserDoc('userSettings', userId);
+  const stored = doc ? pickFields(doc, Object.keys(DEFAULT_USER_SETTINGS)) : {};
+  return { ...DEFAULT_USER_SETTINGS, ...structuredClone(stored) };
+}
+
+async function updateUserSettings(userId, settings) {
+  if (!userId) return;
+  const doc = await findUserDoc('userSettings', userId, null, true);
+  Object.assign(doc, pickFields(settings, Object.keys(DEFAULT_USER_SETTINGS)), {
+    updatedAt: new Date(),
+  });
+  await save();
+}
+
+// ===================
+// PICK HISTORY OPERATIONS
+// ===================
+
+function toPick(doc) {
+  return {
+    showId: doc.showId,
+    episodeId: doc.episodeId,
+    season: doc.season,
+    episode: doc.episode,
+    pickedAt: doc.pickedAt,
+  };
+}
+
+async function recordPick(userId, pick) {
+  if (!userId || !pick) return;
+  const picks = await getCollection('pickHistory');
+  picks.push({
+    userId,
+    showId: pick.showId,
+    episodeId: pick.episodeId,
+    season: pick.season,
+    episode: pick.episode,
+    scope: pick.scope || null,
+    pickedAt: new Date(),
+  });
+
+  // Keep only what the cooldown can look back on: picks younger than the
+  // max age, and the newest PICK_HISTORY_MAX_PER_SHOW per show
+  const cutoff = Date.now() - PICK_HISTORY_MAX_AGE_MS;
+  const showPicks = picks.filter((doc) => doc.userId === userId && doc.showId === pick.showId);
+  const overflow = new Set(
+    showPicks.length > PICK_HISTORY_MAX_PER_SHOW
+      ? showPicks.sort(newestFirst('pickedAt')).slice(PICK_HISTORY_MAX_PER_SHOW)
+      : [],
+  );
+  if (overflow.size > 0 || picks[0].pickedAt.getTime() < cutoff) {
+    data.pickHistory = picks.filter(
+      (doc) => doc.pickedAt.getTime() >= cutoff && !overflow.has(doc),
+    );
+  }
+  saveInBackground();
+}
+
+async function getLatestPick(userId, episodeId, since = null) {
+  if (!userId || !episodeId) return null;
+  const picks = await getCollection('pickHistory');
+  const latest = picks
+    .filter((doc) => doc.userId === userId && doc.episodeId === episodeId)
+    .filter((doc) => !since || doc.pickedAt >= since)
+    .sort(newestFirst('pickedAt'))[0];
+  return latest ? { userId, ...toPick(latest), scope: latest.scope } : null;
+}
+
+async function getRecentPicks(userId, { showId = null, limit = 0, since = null } = {}) {
+  if (!userId) return [];
+  const picks = await getCollection('pickHistory');
+  const recent = picks
+    .filter((doc) => doc.userId === userId)
+    .filter((doc) => !showId || doc.showId === showId)
+    .filter((doc) => !since || doc.pickedAt >= since)
+    .sort(newestFirst('pickedAt'))
+    .map(toPick);
+  return limit > 0 ? recent.slice(0, limit) : recent;
+}
+
+async function deletePickHistory(userId, showId = null) {
+  if (!userId) return;
+  await removeWhere('pickHistory', (doc) => doc.userId === userId && (!showId || doc.showId === showId));
+}
+
+// ===================
+// PLAYLIST OPERATIONS
+// ===================
+
+function isPlaylistExpired(doc) {
+  return doc.createdAt.getTime() < Date.now() - PLAYLIST_TTL_MS;
+}
+
+async function insertPlaylist(userId, playlist) {
+  if (!userId || !playlist) return;
+  const playlists = await getCollection('playlists');
+  playlists.push({
+    playlistId: playlist.playlistId,
+    userId,
+    kind: playlist.kind,
+    items: playlist.items,
+    createdAt: playlist.createdAt || new Date(),
+  });
+
+  // Drop expired playlists and all but the user's newest few
+  const keepForUser = new Set(
+    playlists
+      .filter((doc) => doc.userId === userId)
+      .sort(newestFirst('createdAt'))
+      .slice(0, MAX_PLAYLISTS_PER_USER),
+  );
+  data.playlists = playlists.filter(
+    (doc) => !isPlaylistExpired(doc) && (doc.userId !== userId || keepForUser.has(doc)),
+  );
+  saveInBackground();
+}
+
+async function getPlaylist(playlistId) {
+  if (!playlistId) return null;
+  const playlists = await getCollection('playlists');
+  const playlist = playlists.find((doc) => doc.playlistId === playlistId);
+  return playlist && !isPlaylistExpired(playlist) ? structuredClone(playlist) : null;
+}
+
+module.exports = {
+  ping,
+  // Shows
+  getUserShows,
+  getShowCount,
+  hasShow,
+  insertShow,
+  deleteShow,
+  getStaleShowIds,
+  updateShowMetadata,
+  markShowMissing,
+  markShowRefreshFailed,
+  // Lists
+  getUserLists,
+  getList,
+  getListCount,
+  insertList,
+  renameList,
+  deleteList,
+  addShowToList,
+  removeShowFromList,
+  // Show settings
+  getShowSettings,
+  updateShowSettings,
+  updateShuffleBag,
+  deleteShowSettings,
+  getAllShowSettings,
+  // User settings
+  getUserSettings,
+  updateUserSettings,
+  // Pick history
+  recordPick,
+  getLatestPick,
+  getRecentPicks,
+  deletePickHistory,
+  // Playlists
+  insertPlaylist,
+  getPlaylist,
+};
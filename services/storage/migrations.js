@@ -0,0 +1,121 @@
+const { PLAYLIST_TTL_MS, PICK_HISTORY_MAX_AGE_MS } = require('../../config');
+
+/**
+ * Schema migrations for the Mongo backend
+ *
+ * Run in order on first connection; each applied migration is recorded in
+ * the `migrations` collection and skipped afterwards. Migrations must be
+ * safe to run twice, since two instances can start at the same time.
+ */
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Delete all but one document per `keys` combination
+ * Keeps the first document in `sort` order
+ */
+async function removeDuplicates(collection, keys, sort) {
+  const groupId = Object.fromEntries(keys.map((key) => [key, `$${key}`]));
+  const duplicates = await collection
+    .aggregate([
+      { $sort: sort },
+      { $group: { _id: groupId, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ], { allowDiskUse: true })
+    .toArray();
+
+  let removed = 0;
+  for (const { ids } of duplicates) {
+    const result = await collection.deleteMany({ _id: { $in: ids.slice(1) } });
+    removed += result.deletedCount;
+  }
+  if (removed > 0) {
+    console.log(`Removed ${removed} duplicate documents from ${collection.collectionName}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    id: '001-shows-unique-user-show',
+    // Earliest copy wins, matching the order the library already shows
+    async up(db) {
+      const shows = db.collection('shows');
+      await removeDuplicates(shows, ['userId', 'showId'], { createdAt: 1 });
+      await shows.createIndex({ userId: 1, showId: 1 }, { unique: true });
+    },
+  },
+  {
+    id: '002-show-settings-unique-user-show',
+    // Most recently edited settings win
+    async up(db) {
+      const showSettings = db.collection('showSettings');
+      await removeDuplicates(showSettings, ['userId', 'showId'], { updatedAt: -1 });
+      await showSettings.createIndex({ userId: 1, showId: 1 }, { unique: true });
+    },
+  },
+  {
+    id: '003-lookup-indexes',
+    async up(db) {
+      await db.collection('shows').createIndex({ showId: 1, metaRefreshedAt: 1 });
+      await db.collection('lists').createIndex({ userId: 1, listId: 1 });
+      await db.collection('userSettings').createIndex({ userId: 1 });
+      await db.collection('pickHistory').createIndex({ userId: 1, pickedAt: -1 });
+      await db.collection('playlists').createIndex({ playlistId: 1 });
+    },
+  },
+  {
+    id: '004-playlists-expiry',
+    // Expire playlists; `userId, createdAt` serves the per-user cap
+    async up(db) {
+      const playlists = db.collection('playlists');
+      await playlists.createIndex(
+        { createdAt: 1 },
+        { expireAfterSeconds: Math.round(PLAYLIST_TTL_MS / 1000) },
+      );
+      await playlists.createIndex({ userId: 1, createdAt: -1 });
+    },
+  },
+  {
+    id: '005-pick-history-expiry',
+    async up(db) {
+      await db.collection('pickHistory').createIndex(
+        { pickedAt: 1 },
+        { expireAfterSeconds: Math.round(PICK_HISTORY_MAX_AGE_MS / 1000) },
+      );
+    },
+  },
+  {
+    id: '006-pick-history-per-show',
+    // Serves the per-show trim in recordPick and show-scoped cooldowns
+    async up(db) {
+      await db.collection('pickHistory').createIndex({ userId: 1, showId: 1, pickedAt: -1 });
+    },
+  },
+];
+
+/**
+ * Apply any migrations not yet recorded in `migrations`
+ */
+async function runMigrations(db) {
+  const applied = db.collection('migrations');
+  const done = new Set(
+    (await applied.find({}, { projection: { _id: 1 } }).toArray()).map((doc) => doc._id),
+  );
+
+  for (const migration of MIGRATIONS) {
+    if (done.has(migration.id)) continue;
+    await migration.up(db);
+    try {
+      await applied.insertOne({ _id: migration.id, appliedAt: new Date() });
+    } catch (e) {
+      // Another instance finished the same migration first
+      if (e.code !== DUPLICATE_KEY) throw e;
+    }
+    console.log(`Applied migration ${migration.id}`);
+  }
+}
+
+module.exports = {
+  DUPLICATE_KEY,
+  runMigrations,
+};
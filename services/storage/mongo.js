@@ -0,0 +1,643 @@
+const { MongoClient } = require('mongodb');
+const {
+  MONGODB_URI,
+  MONGODB_DB,
+  DEFAULT_USER_SETTINGS,
+  PLAYLIST_TTL_MS,
+  MAX_PLAYLISTS_PER_USER,
+  PICK_HISTORY_MAX_PER_SHOW,
+} = require('../../config');
+const { ErrorTypes } = require('../../middleware/errorHandler');
+const { SHOW_SETTING_FIELDS, pickFields } = require('./fields');
+const { DUPLICATE_KEY, runMigrations } = require('./migrations');
+
+/**
+ * MongoDB storage backend
+ * Implements the storage interface documented in services/db.js
+ */
+
+let mongoClient;
+let mongoDb;
+let mongoClientPromise;
+let migrationsPromise;
+
+/**
+ * Extract database name from MongoDB URI
+ */
+function getDbNameFromUri(uri) {
+  try {
+    const parsed = new URL(uri);
+    if (!parsed.pathname || parsed.pathname === '/') return null;
+    return parsed.pathname.replace('/', '') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get MongoDB database connection (singleton)
+ * Pending schema migrations run before the first caller gets the connection
+ */
+async function getDb() {
+  if (!MONGODB_URI) {
+    throw new Error('Missing MONGODB_URI');
+  }
+  if (mongoDb) return mongoDb;
+  if (!mongoClient) {
+    // TLS follows the URI (mongodb+srv:// and ?tls=true enable it)
+    mongoClient = new MongoClient(MONGODB_URI, {
+      serverSelectionTimeoutMS: 10000,
+    });
+  }
+  if (!mongoClientPromise) {
+    mongoClientPromise = mongoClient.connect();
+  }
+  await mongoClientPromise;
+  const dbName = MONGODB_DB || getDbNameFromUri(MONGODB_URI);
+  if (!dbName) {
+    console.warn('No database name set in MONGODB_URI or MONGODB_DB');
+  }
+  const db = mongoClient.db(dbName || undefined);
+  if (!migrationsPromise) {
+    migrationsPromise = runMigrations(db).catch((e) => {
+      migrationsPromise = null;
+      throw e;
+    });
+  }
+  await migrationsPromise;
+  mongoDb = db;
+  return mongoDb;
+}
+
+/**
+ * Upsert one document, retrying once if a concurrent upsert of the same
+ * key won the insert (the unique index rejects the second one)
+ */
+async function upsertOne(collection, filter, update) {
+  try {
+    await collection.updateOne(filter, update, { upsert: true });
+  } catch (e) {
+    if (e.code !== DUPLICATE_KEY) throw e;
+    await collection.updateOne(filter, update, { upsert: true });
+  }
+}
+
+/**
+ * Check the database is reachable
+ */
+async function ping() {
+  const db = await getDb();
+  await db.command({ ping: 1 });
+}
+
+// ===================
+// SHOWS OPERATIONS
+// ===================
+
+/**
+ * Get all shows for a user
+ */
+async function getUserShows(userId) {
+  if (!userId) return [];
+  const db = await getDb();
+  const rows = await db
+    .collection('shows')
+    .find({ userId })
+    .sort({ createdAt: -1 })
+    .project({
+      _id: 0,
+      showId: 1,
+      name: 1,
+      poster: 1,
+      background: 1,
+      genres: 1,
+      metaMissing: 1,
+    })
+    .toArray();
+  return rows.map((row) => ({
+    id: row.showId,
+    name: row.name,
+    poster: row.poster,
+    background: row.background,
+    genres: row.genres || [],
+    missing: Boolean(row.metaMissing),
+  }));
+}
+
+/**
+ * Get count of shows for a user
+ */
+async function getShowCount(userId) {
+  if (!userId) return 0;
+  const db = await getDb();
+  return db.collection('shows').countDocuments({ userId });
+}
+
+/**
+ * Check if user has a specific show
+ */
+async function hasShow(userId, showId) {
+  if (!userId) return false;
+  const db = await getDb();
+  const existing = await db
+    .collection('shows')
+    .findOne({ userId, showId }, { projection: { _id: 1 } });
+  return Boolean(existing);
+}
+
+/**
+ * Insert a new show for a user
+ * @throws {AppError} CONFLICT if the user already has the show
+ */
+async function insertShow(userId, show) {
+  if (!userId) return;
+  const db = await getDb();
+  try {
+    await db.collection('shows').insertOne({
+      userId,
+      showId: show.id,
+      name: show.name,
+      poster: show.poster,
+      background: show.background,
+      // Cached from the series meta for the genre catalog extra
+      genres: show.genres || [],
+      createdAt: new Date(),
+    });
+  } catch (e) {
+    if (e.code === DUPLICATE_KEY) throw ErrorTypes.CONFLICT('Show already added');
+    throw e;
+  }
+}
+
+/**
+ * Get show IDs (across all users) whose stored metadata is older than
+ * `before` or was never refreshed, least recently refreshed first
+ * Shows saved before genres were stored come first, so they get backfilled.
+ */
+async function getStaleShowIds(before, limit) {
+  const db = await getDb();
+  const rows = await db
+    .collection('shows')
+    .aggregate([
+      {
+        $match: {
+          $or: [
+            { metaRefreshedAt: { $exists: false } },
+            { metaRefreshedAt: { $lt: before } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: '$showId',
+          oldest: { $min: '$metaRefreshedAt' },
+          hasGenres: { $min: { $cond: [{ $isArray: '$genres' }, 1, 0] } },
+        },
+      },
+      { $sort: { hasGenres: 1, oldest: 1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+  return rows.map((row) => row._id);
+}
+
+/**
+ * Update the denormalized metadata of a show for every user who has it
+ */
+async function updateShowMetadata(showId, fields) {
+  const db = await getDb();
+  await db.collection('shows').updateMany(
+    { showId },
+    {
+      $set: {
+        name: fields.name,
+        poster: fields.poster,
+        background: fields.background,
+        genres: fields.genres || [],
+        metaMissing: false,
+        metaRefreshedAt: new Date(),
+      },
+    },
+  );
+}
+
+/**
+ * Flag a show whose metadata no longer exists upstream
+ */
+async function markShowMissing(showId) {
+  const db = await getDb();
+  await db.collection('shows').updateMany(
+    { showId },
+    { $set: { metaMissing: true, metaRefreshedAt: new Date() } },
+  );
+}
+
+/**
+ * Stamp a show whose metadata lookup failed, so it moves to the back of the
+ * refresh queue instead of being retried first every run
+ */
+async function markShowRefreshFailed(showId) {
+  const db = await getDb();
+  await db.collection('shows').updateMany(
+    { showId },
+    { $set: { metaRefreshedAt: new Date() } },
+  );
+}
+
+/**
+ * Delete a show for a user
+ */
+async function deleteShow(userId, showId) {
+  if (!userId) return;
+  const db = await getDb();
+  await db.collection('shows').deleteOne({ userId, showId });
+}
+
+// ===================
+// LIST OPERATIONS
+// ===================
+
+/**
+ * Get all named lists for a user, oldest first
+ * Lists are named subsets of the user's shows: { listId, name, showIds }
+ */
+async function getUserLists(userId) {
+  if (!userId) return [];
+  const db = await getDb();
+  return db
+    .collection('lists')
+    .find({ userId })
+    .sort({ createdAt: 1 })
+    .project({ _id: 0, listId: 1, name: 1, showIds: 1 })
+    .toArray();
+}
+
+/**
+ * Get a single list for a user
+ */
+async function getList(userId, listId) {
+  if (!userId || !listId) return null;
+  const db = await getDb();
+  return db
+    .collection('lists')
+    .findOne({ userId, listId }, { projection: { _id: 0, listId: 1, name: 1, showIds: 1 } });
+}
+
+/**
+ * Get count of lists for a user
+ */
+async function getListCount(userId) {
+  if (!userId) return 0;
+  const db = await getDb();
+  return db.collection('lists').countDocuments({ userId });
+}
+
+/**
+ * Create a new list for a user
+ */
+async function insertList(userId, list) {
+  if (!userId) return;
+  const db = await getDb();
+  await db.collection('lists').insertOne({
+    userId,
+    listId: list.listId,
+    name: list.name,
+    showIds: list.showIds || [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+}
+
+/**
+ * Rename a list
+ */
+async function renameList(userId, listId, name) {
+  if (!userId || !listId) return;
+  const db = await getDb();
+  await db
+    .collection('lists')
+    .updateOne({ userId, listId }, { $set: { name, updatedAt: new Date() } });
+}
+
+/**
+ * Delete a list (its shows stay in the user's library)
+ */
+async function deleteList(userId, listId) {
+  if (!userId || !listId) return;
+  const db = await getDb();
+  await db.collection('lists').deleteOne({ userId, listId });
+}
+
+/**
+ * Add a show to a list
+ */
+async function addShowToList(userId, listId, showId) {
+  if (!userId || !listId || !showId) return;
+  const db = await getDb();
+  await db
+    .collection('lists')
+    .updateOne(
+      { userId, listId },
+      { $addToSet: { showIds: showId }, $set: { updatedAt: new Date() } },
+    );
+}
+
+/**
+ * Remove a show from a list, or from every list if no listId is given
+ */
+async function removeShowFromList(userId, listId, showId) {
+  if (!userId || !showId) return;
+  const db = await getDb();
+  const filter = listId ? { userId, listId } : { userId, showIds: showId };
+  await db
+    .collection('lists')
+    .updateMany(filter, { $pull: { showIds: showId }, $set: { updatedAt: new Date() } });
+}
+
+// ===================
+// SHOW SETTINGS OPERATIONS
+// ===================
+
+/**
+ * Get settings for a specific show
+ */
+async function getShowSettings(userId, showId) {
+  if (!userId || !showId) return null;
+  const db = await getDb();
+  return db.collection('showSettings').findOne({ userId, showId });
+}
+
+/**
+ * Update settings for a specific show
+ * Only fields present in `settings` are changed
+ */
+async function updateShowSettings(userId, showId, settings) {
+  if (!userId || !showId) return;
+  const db = await getDb();
+
+  const fields = pickFields(settings, SHOW_SETTING_FIELDS);
+
+  await upsertOne(
+    db.collection('showSettings'),
+    { userId, showId },
+    {
+      $set: {
+        ...fields,
+        userId,
+        showId,
+        updatedAt: new Date(),
+      },
+      $setOnInsert: {
+        createdAt: new Date(),
+      },
+    },
+  );
+}
+
+/**
+ * Save the shuffle bag for a show (stored on its settings document)
+ */
+async function updateShuffleBag(userId, showId, bag) {
+  if (!userId || !showId) return;
+  const db = await getDb();
+
+  await upsertOne(
+    db.collection('showSettings'),
+    { userId, showId },
+    {
+      $set: {
+        userId,
+        showId,
+        shuffleBag: { ...bag, updatedAt: new Date() },
+      },
+      $setOnInsert: {
+        createdAt: new Date(),
+      },
+    },
+  );
+}
+
+/**
+ * Delete settings for a specific show
+ */
+async function deleteShowSettings(userId, showId) {
+  if (!userId || !showId) return;
+  const db = await getDb();
+  await db.collection('showSettings').deleteOne({ userId, showId });
+}
+
+/**
+ * Get settings for all shows a user has
+ */
+async function getAllShowSettings(userId) {
+  if (!userId) return [];
+  const db = await getDb();
+  return db.collection('showSettings').find({ userId }).toArray();
+}
+
+// ===================
+// USER SETTINGS OPERATIONS
+// ===================
+
+/**
+ * Get randomizer settings for a user, merged over the defaults
+ */
+async function getUserSettings(userId) {
+  if (!userId) return { ...DEFAULT_USER_SETTINGS };
+  const db = await getDb();
+  const doc = await db
+    .collection('userSettings')
+    .findOne({ userId }, { projection: { _id: 0, userId: 0, createdAt: 0, updatedAt: 0 } });
+  return { ...DEFAULT_USER_SETTINGS, ...(doc || {}) };
+}
+
+/**
+ * Update randomizer settings for a user
+ * Only known fields present in `settings` are changed
+ */
+async function updateUserSettings(userId, settings) {
+  if (!userId) return;
+  const db = await getDb();
+
+  const fields = pickFields(settings, Object.keys(DEFAULT_USER_SETTINGS));
+
+  await db.collection('userSettings').updateOne(
+    { userId },
+    {
+      $set: {
+        ...fields,
+        userId,
+        updatedAt: new Date(),
+      },
+      $setOnInsert: {
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+// ===================
+// PICK HISTORY OPERATIONS
+// ===================
+
+/**
+ * Record an episode served by a random pick
+ * `scope` is the Stremio action ID the pick came from (used for rerolls)
+ * A TTL index drops picks older than PICK_HISTORY_MAX_AGE_MS; only the
+ * newest PICK_HISTORY_MAX_PER_SHOW picks per user and show are kept
+ */
+async function recordPick(userId, pick) {
+  if (!userId || !pick) return;
+  const db = await getDb();
+  const collection = db.collection('pickHistory');
+  await collection.insertOne({
+    userId,
+    showId: pick.showId,
+    episodeId: pick.episodeId,
+    season: pick.season,
+    episode: pick.episode,
+    scope: pick.scope || null,
+    pickedAt: new Date(),
+  });
+
+  const old = await collection
+    .find({ userId, showId: pick.showId })
+    .sort({ pickedAt: -1 })
+    .skip(PICK_HISTORY_MAX_PER_SHOW)
+    .project({ _id: 1 })
+    .toArray();
+  if (old.length > 0) {
+    await collection.deleteMany({ _id: { $in: old.map((doc) => doc._id) } });
+  }
+}
+
+/**
+ * Get the latest pick of an episode, optionally only since a date
+ */
+async function getLatestPick(userId, episodeId, since = null) {
+  if (!userId || !episodeId) return null;
+  const db = await getDb();
+  const filter = { userId, episodeId };
+  if (since) filter.pickedAt = { $gte: since };
+  return db.collection('pickHistory').findOne(filter, {
+    sort: { pickedAt: -1 },
+    projection: { _id: 0 },
+  });
+}
+
+/**
+ * Get a user's most recent picks, newest first
+ * Optionally limited to one show, a number of picks, or picks since a date
+ */
+async function getRecentPicks(userId, { showId = null, limit = 0, since = null } = {}) {
+  if (!userId) return [];
+  const db = await getDb();
+  const filter = { userId };
+  if (showId) filter.showId = showId;
+  if (since) filter.pickedAt = { $gte: since };
+
+  let cursor = db
+    .collection('pickHistory')
+    .find(filter)
+    .sort({ pickedAt: -1 })
+    .project({ _id: 0, showId: 1, episodeId: 1, season: 1, episode: 1, pickedAt: 1 });
+  if (limit > 0) cursor = cursor.limit(limit);
+  return cursor.toArray();
+}
+
+/**
+ * Delete pick history for a user (optionally for one show)
+ */
+async function deletePickHistory(userId, showId = null) {
+  if (!userId) return;
+  const db = await getDb();
+  const filter = { userId };
+  if (showId) filter.showId = showId;
+  await db.collection('pickHistory').deleteMany(filter);
+}
+
+// ===================
+// PLAYLIST OPERATIONS
+// ===================
+
+/**
+ * Save a generated playlist (e.g. a random marathon queue)
+ * Only the user's newest MAX_PLAYLISTS_PER_USER are kept; a TTL index
+ * expires the rest after PLAYLIST_TTL_MS
+ */
+async function insertPlaylist(userId, playlist) {
+  if (!userId || !playlist) return;
+  const db = await getDb();
+  const collection = db.collection('playlists');
+  await collection.insertOne({
+    playlistId: playlist.playlistId,
+    userId,
+    kind: playlist.kind,
+    items: playlist.items,
+    createdAt: playlist.createdAt || new Date(),
+  });
+
+  const stale = await collection
+    .find({ userId })
+    .sort({ createdAt: -1 })
+    .skip(MAX_PLAYLISTS_PER_USER)
+    .project({ _id: 1 })
+    .toArray();
+  if (stale.length > 0) {
+    await collection.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+  }
+}
+
+/**
+ * Get a playlist by its ID (null once expired)
+ */
+async function getPlaylist(playlistId) {
+  if (!playlistId) return null;
+  const db = await getDb();
+  return db.collection('playlists').findOne(
+    { playlistId, createdAt: { $gte: new Date(Date.now() - PLAYLIST_TTL_MS) } },
+    { projection: { _id: 0 } },
+  );
+}
+
+module.exports = {
+  getDb,
+  ping,
+  // Shows
+  getUserShows,
+  getShowCount,
+  hasShow,
+  insertShow,
+  deleteShow,
+  getStaleShowIds,
+  updateShowMetadata,
+  markShowMissing,
+  markShowRefreshFailed,
+  // Lists
+  getUserLists,
+  getList,
+  getListCount,
+  insertList,
+  renameList,
+  deleteList,
+  addShowToList,
+  removeShowFromList,
+  // Show settings
+  getShowSettings,
+  updateShowSettings,
+  updateShuffleBag,
+  deleteShowSettings,
+  getAllShowSettings,
+  // User settings
+  getUserSettings,
+  updateUserSettings,
+  // Pick history
+  recordPick,
+  getLatestPick,
+  getRecentPicks,
+  deletePickHistory,
+  // Playlists
+  insertPlaylist,
+  getPlaylist,
+};
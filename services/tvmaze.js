@@ -1,100 +1,273 @@
 const { TVMAZE_URL } = require('../config');
 const { stripHtml } = require('../utils/html');
-const fetchFn = global.fetch || require('node-fetch');
+const { createCache } = require('./cache');
+const { fetchJson } = require('./httpClient');
 
-// Cache TVmaze show IDs to avoid repeated lookups
-const tvmazeShowIdCache = new Map();
+// Cache TVmaze show IDs to avoid repeated lookups (null = not on TVmaze)
+const tvmazeShowIdCache = createCache('tvmaze-show-id', {
+  ttlMs: 7 * 24 * 60 * 60 * 1000,
+  maxEntries: 2000,
+});
+
+// Cache full TVmaze episode lists (keyed by TVmaze show ID)
+const tvmazeEpisodesCache = createCache('tvmaze-episodes', {
+  ttlMs: 6 * 60 * 60 * 1000,
+  maxEntries: 200,
+});
+
+// Cache episode counts for search results (keyed by TVmaze show ID); kept
+// longer than the episode lists since a count is tiny
+const tvmazeEpisodeCountCache = createCache('tvmaze-episode-count', {
+  ttlMs: 24 * 60 * 60 * 1000,
+  maxEntries: 2000,
+});
+
+// Cache single-episode summaries (keyed by "tvmazeId:season:episode")
+const tvmazeSummaryCache = createCache('tvmaze-summary', {
+  ttlMs: 24 * 60 * 60 * 1000,
+  maxEntries: 1000,
+});
+
+// Cache show details (keyed by TVmaze show ID)
+const tvmazeShowCache = createCache('tvmaze-show', {
+  ttlMs: 24 * 60 * 60 * 1000,
+  maxEntries: 500,
+});
 
 /**
  * Look up TVmaze show ID from IMDB ID
+ * Shows added straight from TVmaze ("tvmaze-<id>") already carry it.
+ * Returns null if the show isn't on TVmaze; throws EXTERNAL_API if it's down
  */
 async function fetchTvmazeShowId(imdbId) {
+  if (imdbId && imdbId.startsWith('tvmaze-')) return imdbId.replace('tvmaze-', '');
   if (!imdbId || !imdbId.startsWith('tt')) return null;
-  if (tvmazeShowIdCache.has(imdbId)) return tvmazeShowIdCache.get(imdbId);
-  
-  try {
-    const response = await fetchFn(
+
+  return tvmazeShowIdCache.wrap(imdbId, async () => {
+    const data = await fetchJson(
       `${TVMAZE_URL}/lookup/shows?imdb=${encodeURIComponent(imdbId)}`,
     );
-    if (!response.ok) return null;
-    const data = await response.json();
-    const tvmazeId = data && data.id ? String(data.id) : null;
-    tvmazeShowIdCache.set(imdbId, tvmazeId);
-    return tvmazeId;
-  } catch (e) {
-    console.error('TVmaze show lookup failed:', e);
-    return null;
-  }
+    return data && data.id ? String(data.id) : null;
+  });
 }
 
 /**
  * Fetch episode summary from TVmaze
+ * Enrichment only: upstream errors are logged and treated as no summary
  */
 async function fetchTvmazeEpisodeSummary(imdbId, season, episode) {
-  const tvmazeId = await fetchTvmazeShowId(imdbId);
-  if (!tvmazeId || !Number.isFinite(season) || !Number.isFinite(episode)) {
-    return '';
-  }
-  
   try {
-    const response = await fetchFn(
-      `${TVMAZE_URL}/shows/${tvmazeId}/episodebynumber?season=${season}&number=${episode}`,
-    );
-    if (!response.ok) return '';
-    const data = await response.json();
-    return stripHtml(data && data.summary ? data.summary : '');
+    const tvmazeId = await fetchTvmazeShowId(imdbId);
+    if (!tvmazeId || !Number.isFinite(season) || !Number.isFinite(episode)) {
+      return '';
+    }
+
+    const summary = await tvmazeSummaryCache.wrap(`${tvmazeId}:${season}:${episode}`, async () => {
+      const data = await fetchJson(
+        `${TVMAZE_URL}/shows/${tvmazeId}/episodebynumber?season=${season}&number=${episode}`,
+      );
+      return stripHtml(data && data.summary ? data.summary : '');
+    });
+    return summary || '';
   } catch (e) {
-    console.error('TVmaze episode lookup failed:', e);
+    console.error('TVmaze episode lookup failed:', e.message);
     return '';
   }
 }
 
 /**
- * Search for TV shows
+ * Fetch the full TVmaze episode list for a show (includes ratings)
+ * Results are cached for a few hours per show
+ * Returns [] if the show isn't on TVmaze; throws EXTERNAL_API if it's down
  */
-async function searchShows(query) {
-  if (!query || query.length < 2) return [];
-  
+async function fetchTvmazeEpisodes(imdbId) {
+  const tvmazeId = await fetchTvmazeShowId(imdbId);
+  if (!tvmazeId) return [];
+
+  const episodes = await tvmazeEpisodesCache.wrap(
+    tvmazeId,
+    () => fetchJson(`${TVMAZE_URL}/shows/${tvmazeId}/episodes`),
+  );
+  return Array.isArray(episodes) ? episodes : [];
+}
+
+/**
+ * Count a TVmaze show's episodes (specials excluded)
+ * Throws EXTERNAL_API if TVmaze is down
+ */
+function fetchTvmazeEpisodeCount(tvmazeId) {
+  return tvmazeEpisodeCountCache.wrap(String(tvmazeId), async () => {
+    const episodes = await fetchTvmazeEpisodes(`tvmaze-${tvmazeId}`);
+    return episodes.length;
+  });
+}
+
+/**
+ * Episode list for enrichment (ratings, runtimes, text)
+ * Upstream errors are logged and treated as no data
+ */
+async function fetchEpisodesForEnrichment(imdbId) {
   try {
-    const response = await fetchFn(
-      `${TVMAZE_URL}/search/shows?q=${encodeURIComponent(query)}`,
-    );
-    const data = await response.json();
-    
-    return data
-      .map((item) => ({
-        id:
-          item.show.externals && item.show.externals.imdb
-            ? item.show.externals.imdb
-            : `tvmaze-${item.show.id}`,
-        name: item.show.name,
-        poster: item.show.image ? item.show.image.medium : null,
-        year: item.show.premiered ? item.show.premiered.substring(0, 4) : null,
-      }))
-      .filter((show) => show.poster);
+    return await fetchTvmazeEpisodes(imdbId);
   } catch (e) {
-    console.error('TVmaze search failed:', e);
+    console.error('TVmaze episode list fetch failed:', e.message);
     return [];
   }
 }
 
+/**
+ * Index a TVmaze episode list by "season:episode"
+ * Episodes where `getValue` returns a non-finite number are omitted
+ */
+function indexEpisodes(episodes, getValue) {
+  const index = new Map();
+  for (const item of episodes) {
+    const value = item ? Number(getValue(item)) : NaN;
+    if (Number.isFinite(value)) {
+      index.set(`${item.season}:${item.number}`, value);
+    }
+  }
+  return index;
+}
+
+/**
+ * Get TVmaze episode ratings for a show
+ * Returns a Map of "season:episode" -> average rating (unrated episodes omitted)
+ */
+async function fetchTvmazeEpisodeRatings(imdbId) {
+  const episodes = await fetchEpisodesForEnrichment(imdbId);
+  return indexEpisodes(episodes, (item) => (item.rating ? item.rating.average : null));
+}
+
+/**
+ * Get TVmaze episode runtimes for a show
+ * Returns a Map of "season:episode" -> runtime in minutes (unknown omitted)
+ */
+async function fetchTvmazeEpisodeRuntimes(imdbId) {
+  const episodes = await fetchEpisodesForEnrichment(imdbId);
+  return indexEpisodes(episodes, (item) => item.runtime);
+}
+
+/**
+ * Get TVmaze episode titles and summaries for a show
+ * Returns a Map of "season:episode" -> plain text "title summary"
+ */
+async function fetchTvmazeEpisodeTexts(imdbId) {
+  const episodes = await fetchEpisodesForEnrichment(imdbId);
+  const index = new Map();
+  for (const item of episodes) {
+    if (!item) continue;
+    const text = [item.name, stripHtml(item.summary || '')].filter(Boolean).join(' ');
+    if (text) index.set(`${item.season}:${item.number}`, text);
+  }
+  return index;
+}
+
+/**
+ * Map TVmaze's show status to 'ended' | 'running' (null when unknown)
+ */
+function normalizeShowStatus(status) {
+  if (status === 'Ended') return 'ended';
+  if (status === 'Running' || status === 'To Be Determined') return 'running';
+  return null;
+}
+
+/**
+ * Search for TV shows
+ * Shows without a poster are kept (poster: null) so obscure shows can be added.
+ * Throws EXTERNAL_API if TVmaze is down
+ */
+async function searchShows(query) {
+  if (!query || query.length < 2) return [];
+
+  const data = await fetchJson(
+    `${TVMAZE_URL}/search/shows?q=${encodeURIComponent(query)}`,
+  );
+
+  return (data || []).map(({ show }) => {
+    const imdbId = show.externals && show.externals.imdb ? show.externals.imdb : null;
+    const network = show.network || show.webChannel;
+    return {
+      id: imdbId || `tvmaze-${show.id}`,
+      imdbId,
+      tvmazeId: String(show.id),
+      name: show.name,
+      poster: show.image ? show.image.medium || show.image.original : null,
+      year: show.premiered ? show.premiered.substring(0, 4) : null,
+      network: network ? network.name : null,
+      status: normalizeShowStatus(show.status),
+    };
+  });
+}
+
 /**
  * Get show details from TVmaze ID (for converting tvmaze-* IDs to IMDB)
+ * Returns null if TVmaze doesn't know the ID; throws EXTERNAL_API if it's down
  */
 async function getTvmazeShow(tvmazeId) {
-  try {
-    const response = await fetchFn(`${TVMAZE_URL}/shows/${tvmazeId}`);
-    if (!response.ok) return null;
-    return await response.json();
-  } catch (e) {
-    console.error('TVmaze show fetch failed:', e);
-    return null;
-  }
+  const show = await tvmazeShowCache.wrap(
+    String(tvmazeId),
+    () => fetchJson(`${TVMAZE_URL}/shows/${tvmazeId}`),
+  );
+  return show || null;
+}
+
+/**
+ * Build Cinemeta-shaped series metadata from TVmaze
+ * Video IDs use the requested show ID ("tt..." or "tvmaze-..."), so episodes
+ * keep the same canonical IDs whichever provider served them.
+ * Specials without an episode number are left out.
+ *
+ * @returns {Object|null} { meta } like Cinemeta's response, or null
+ */
+async function fetchTvmazeSeriesMeta(showId) {
+  const tvmazeId = await fetchTvmazeShowId(showId);
+  if (!tvmazeId) return null;
+
+  const [show, episodes] = await Promise.all([
+    getTvmazeShow(tvmazeId),
+    fetchTvmazeEpisodes(showId),
+  ]);
+  if (!show) return null;
+
+  const runtime = show.runtime || show.averageRuntime;
+  const videos = episodes
+    .filter((item) => item && Number.isFinite(item.season) && Number.isFinite(item.number))
+    .map((item) => ({
+      id: `${showId}:${item.season}:${item.number}`,
+      season: item.season,
+      episode: item.number,
+      name: item.name || '',
+      overview: stripHtml(item.summary || ''),
+      released: item.airstamp || item.airdate || null,
+      thumbnail: item.image ? item.image.medium || item.image.original : undefined,
+    }));
+
+  return {
+    meta: {
+      id: showId,
+      type: 'series',
+      name: show.name,
+      poster: show.image ? show.image.medium || show.image.original : null,
+      background: show.image ? show.image.original || show.image.medium : null,
+      description: stripHtml(show.summary || ''),
+      genres: show.genres || [],
+      releaseInfo: show.premiered ? show.premiered.substring(0, 4) : undefined,
+      runtime: runtime ? `${runtime} min` : undefined,
+      videos,
+    },
+  };
 }
 
 module.exports = {
   fetchTvmazeShowId,
   fetchTvmazeEpisodeSummary,
+  fetchTvmazeEpisodes,
+  fetchTvmazeEpisodeCount,
+  fetchTvmazeEpisodeRatings,
+  fetchTvmazeEpisodeRuntimes,
+  fetchTvmazeEpisodeTexts,
   searchShows,
   getTvmazeShow,
+  fetchTvmazeSeriesMeta,
 };
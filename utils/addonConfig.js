@@ -0,0 +1,68 @@
+/**
+ * Install config carried in the addon URL path (/:config/manifest.json)
+ *
+ * The segment is base64url-encoded JSON: { user, ...preferences }.
+ * Preferences override the stored user settings for requests made
+ * through that install.
+ */
+
+const USER_KEY_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Same limits as validateUserSettings
+const PREFERENCE_RULES = {
+  cooldownMode: (value) => ['off', 'picks', 'days'].includes(value),
+  cooldownValue: (value) => Number.isInteger(value) && value >= 1 && value <= 1000,
+  showSelectionMode: (value) => ['uniform', 'episodes', 'custom'].includes(value),
+  excludeUnaired: (value) => typeof value === 'boolean',
+  marathonLength: (value) => Number.isInteger(value) && value >= 2 && value <= 50,
+};
+
+/**
+ * Keep only known preferences with valid values
+ */
+function sanitizePreferences(input) {
+  const preferences = {};
+  for (const [key, isValid] of Object.entries(PREFERENCE_RULES)) {
+    if (input?.[key] !== undefined && isValid(input[key])) {
+      preferences[key] = input[key];
+    }
+  }
+  return preferences;
+}
+
+/**
+ * Decode a config path segment
+ * Accepts base64url JSON, plain (URL-decoded) JSON, or a bare user key
+ *
+ * @returns {{ user: string, preferences: Object }|null} Null if the segment
+ *   does not carry a usable user key
+ */
+function decodeAddonConfig(segment) {
+  if (!segment) return null;
+
+  let parsed = null;
+  try {
+    const json = segment.trim().startsWith('{')
+      ? segment
+      : Buffer.from(segment, 'base64url').toString('utf8');
+    parsed = JSON.parse(json);
+  } catch (e) {
+    parsed = null;
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    const user = typeof parsed.user === 'string' ? parsed.user.trim() : '';
+    if (!USER_KEY_PATTERN.test(user)) return null;
+    return { user, preferences: sanitizePreferences(parsed) };
+  }
+
+  // Bare key, e.g. /<user-key>/manifest.json
+  if (USER_KEY_PATTERN.test(segment)) {
+    return { user: segment, preferences: {} };
+  }
+  return null;
+}
+
+module.exports = {
+  decodeAddonConfig,
+};
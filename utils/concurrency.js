@@ -0,0 +1,23 @@
+/**
+ * Map items through an async function, running at most `limit` at a time
+ * Results keep the input order; the first rejection rejects the whole map
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  mapConcurrent,
+};
@@ -0,0 +1,76 @@
+/**
+ * Minimal CSV reading/writing (RFC 4180: comma separated, double-quote
+ * escaping, first row is the header)
+ */
+
+function escapeCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from objects, one column per header field
+ */
+function toCsv(headers, rows) {
+  const lines = [headers.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(headers.map((header) => escapeCell(row[header])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Blank lines are skipped; cells are returned as strings
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (record.some((value) => value !== '')) records.push(record);
+    record = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  endRecord();
+
+  const [headers = [], ...rows] = records;
+  const keys = headers.map((header) => header.trim());
+  return rows.map((values) => Object.fromEntries(keys.map((key, index) => [key, values[index] ?? ''])));
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
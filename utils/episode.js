@@ -1,9 +1,10 @@
 /**
  * Parse an episode ID string into components
  * Format: "tt1234567:1:5" -> { showId: "tt1234567", season: 1, episode: 5 }
+ * (TVmaze-only shows use "tvmaze-123:1:5")
  */
 function parseEpisodeId(id) {
-  if (!id || !id.startsWith('tt') || !id.includes(':')) return null;
+  if (!id || !/^(tt|tvmaze-)/.test(id) || !id.includes(':')) return null;
   const parts = id.split(':');
   if (parts.length < 3) return null;
   const season = Number(parts[1]);
@@ -39,6 +40,39 @@ function getSeasonEpisodeFromVideo(video) {
   return { season, episode };
 }
 
+/**
+ * Get the release date of a video object (null if missing or invalid)
+ */
+function getReleaseDateFromVideo(video) {
+  const value = video && (video.released || video.firstAired);
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a runtime into minutes
+ * Accepts numbers and Cinemeta-style strings ("45 min", "1h 30min", "30")
+ * Returns null if no positive runtime can be read
+ */
+function parseRuntime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (!value || typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const minutes = Number(text);
+    return minutes > 0 ? minutes : null;
+  }
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*h/);
+  const minutes = text.match(/(\d+)\s*m/);
+  const total = (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0);
+  return total > 0 ? total : null;
+}
+
 /**
  * Build an episode ID from components
  */
@@ -56,7 +90,8 @@ function buildEpisodeId(seriesId, season, episode, fallbackId) {
 function normalizeEpisode(seriesMeta, video) {
   const { season, episode } = getSeasonEpisodeFromVideo(video || {});
   const id = buildEpisodeId(seriesMeta.meta.id, season, episode, video && video.id);
-  return { id, season, episode, video };
+  const released = getReleaseDateFromVideo(video);
+  return { id, season, episode, released, video };
 }
 
 /**
@@ -71,10 +106,49 @@ function findEpisodeVideo(meta, season, episode) {
   );
 }
 
+/**
+ * Get the episodes that follow a given episode in series order
+ * Only regular, already-aired episodes are returned, as Stremio video entries
+ */
+function getFollowingVideos(seriesMeta, season, episode) {
+  if (!seriesMeta || !seriesMeta.meta || !seriesMeta.meta.videos) return [];
+  const now = Date.now();
+  const seen = new Set();
+
+  return seriesMeta.meta.videos
+    .map((video) => normalizeEpisode(seriesMeta, video))
+    .filter((item) => item.season > 0 && item.episode > 0)
+    .filter((item) => !item.released || item.released.getTime() <= now)
+    .filter((item) =>
+      item.season > season || (item.season === season && item.episode > episode),
+    )
+    .sort((a, b) => a.season - b.season || a.episode - b.episode)
+    .filter((item) => {
+      if (seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    })
+    .map((item) => ({
+      id: item.id,
+      title: item.video.name || item.video.title || `Episode ${item.episode}`,
+      season: item.season,
+      episode: item.episode,
+      released: item.video.released || item.video.firstAired || '',
+      thumbnail: item.video.thumbnail,
+      overview: item.video.overview || item.video.description || '',
+    }));
+}
+
 /**
  * Build complete episode metadata for Stremio response
+ *
+ * By default `videos` holds only the picked episode. Pass `options.following`
+ * (see getFollowingVideos) to append the series' next episodes so Stremio's
+ * next-episode flow continues in order, and `options.metaId` to serve the
+ * meta under a different ID than the episode's.
  */
-function buildEpisodeMeta(seriesMeta, episodeId, season, episode, video, descriptionOverride) {
+function buildEpisodeMeta(seriesMeta, episodeId, season, episode, video, descriptionOverride, options = {}) {
+  const { metaId = episodeId, following = [] } = options;
   const episodeTitle =
     video && (video.name || video.title) ? video.name || video.title : '';
   const label = formatEpisodeLabel(season, episode);
@@ -93,7 +167,7 @@ function buildEpisodeMeta(seriesMeta, episodeId, season, episode, video, descrip
     '';
   return {
     meta: {
-      id: episodeId,
+      id: metaId,
       type: 'series',
       name: displayTitle,
       series: showName,
@@ -116,6 +190,7 @@ function buildEpisodeMeta(seriesMeta, episodeId, season, episode, video, descrip
         bingeGroup: seriesMeta.meta.id,
         featured: true,
         videoSize: 1080,
+        ...(metaId !== episodeId && { defaultVideoId: episodeId }),
       },
       videos: [
         {
@@ -126,17 +201,70 @@ function buildEpisodeMeta(seriesMeta, episodeId, season, episode, video, descrip
           released: video ? video.released || video.firstAired || '' : '',
           overview: description,
         },
+        ...following,
       ],
     },
   };
 }
 
+/**
+ * Build Stremio metadata for a stored playlist (e.g. a random marathon)
+ *
+ * The queue is exposed as one series whose `videos` are the queued episodes,
+ * numbered 1..N in queue order, so Stremio's next-episode/binge flow steps
+ * through the queue. Video IDs stay canonical episode IDs so stream addons
+ * resolve them as usual.
+ */
+function buildPlaylistMeta(playlist, { name, poster }) {
+  const metaId = `random-episode-playlist:${playlist.playlistId}`;
+  const items = playlist.items || [];
+  const first = items[0] || {};
+  const createdAt = new Date(playlist.createdAt || Date.now()).toISOString();
+  const showNames = [...new Set(items.map((item) => item.showName))];
+
+  return {
+    meta: {
+      id: metaId,
+      type: 'series',
+      name,
+      poster,
+      background: first.background,
+      description: `${items.length} random episodes from ${showNames.join(', ')}`,
+      releaseInfo: createdAt.substring(0, 4),
+      behaviorHints: {
+        bingeGroup: metaId,
+        featured: true,
+        defaultVideoId: first.episodeId,
+      },
+      videos: items.map((item, index) => {
+        const label = formatEpisodeLabel(item.season, item.episode);
+        const title = item.title
+          ? `${item.showName} — ${item.title} (${label})`
+          : `${item.showName} — (${label})`;
+        return {
+          id: item.episodeId,
+          title,
+          season: 1,
+          episode: index + 1,
+          released: createdAt,
+          thumbnail: item.thumbnail,
+          overview: item.overview,
+        };
+      }),
+    },
+  };
+}
+
 module.exports = {
   parseEpisodeId,
   formatEpisodeLabel,
   getSeasonEpisodeFromVideo,
+  getReleaseDateFromVideo,
+  parseRuntime,
   buildEpisodeId,
   normalizeEpisode,
   findEpisodeVideo,
+  getFollowingVideos,
   buildEpisodeMeta,
+  buildPlaylistMeta,
 };
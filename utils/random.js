@@ -0,0 +1,61 @@
+/**
+ * Return a shuffled copy of an array (Fisher-Yates)
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Pick a random item from an array
+ */
+function randomItem(items) {
+  if (!items || items.length === 0) return undefined;
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Return a copy of an array in weighted random order
+ * (weighted sampling without replacement, Efraimidis-Spirakis)
+ * Items with a weight of 0 or less are left out.
+ */
+function weightedOrder(items, getWeight) {
+  return items
+    .map((item) => ({ item, weight: Number(getWeight(item)) }))
+    .filter(({ weight }) => Number.isFinite(weight) && weight > 0)
+    .map(({ item, weight }) => ({ item, key: Math.pow(Math.random(), 1 / weight) }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ item }) => item);
+}
+
+/**
+ * Pick a random item from an array, weighted by `getWeight(item)`
+ * Falls back to a uniform pick if no item has a positive weight
+ */
+function weightedRandomItem(items, getWeight) {
+  if (!items || items.length === 0) return undefined;
+  const weights = items.map((item) => {
+    const weight = Number(getWeight(item));
+    return Number.isFinite(weight) && weight > 0 ? weight : 0;
+  });
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return randomItem(items);
+
+  let threshold = Math.random() * total;
+  for (let i = 0; i < items.length; i++) {
+    threshold -= weights[i];
+    if (threshold < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+module.exports = {
+  shuffle,
+  randomItem,
+  weightedOrder,
+  weightedRandomItem,
+};